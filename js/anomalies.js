@@ -0,0 +1,140 @@
+/**
+ * Anomaly detection for Apple Health data
+ * Flags implausible samples with robust statistics (median and MAD) and finds stretches of
+ * days that stay away from their rolling baseline
+ */
+
+// Modified z-score above which a sample is an outlier (Iglewicz and Hoaglin)
+const ANOMALY_THRESHOLD = 3.5;
+
+// Days before each day that form its baseline
+const ANOMALY_BASELINE_DAYS = 28;
+
+// Days of baseline needed before a day is judged
+const ANOMALY_MIN_BASELINE = 7;
+
+// Robust z-score of a daily value that counts as a deviation
+const ANOMALY_DEVIATION = 2;
+
+// Consecutive deviating days reported as a sustained deviation
+const ANOMALY_MIN_RUN = 5;
+
+// Scale of the MAD to estimate a standard deviation of normally distributed values
+const MAD_SCALE = 1.4826;
+
+class AnomalyDetector {
+    constructor() {
+        this.trends = new TrendAnalyzer();
+    }
+
+    /**
+     * Flag outlying samples
+     * @param {Array} records - Records of one data type
+     * @param {number} threshold - Modified z-score limit
+     * @returns {Object} { flagged, lower, upper } with the Set of flagged records and the range of
+     *     accepted values (null bounds when there is no spread to measure)
+     */
+    detect(records, threshold = ANOMALY_THRESHOLD) {
+        const values = Float64Array.from(records.filter(record => record.value !== null), record => record.value);
+        const spread = this.getSpread(values);
+        const flagged = new Set();
+
+        if (!spread) {
+            return { flagged: flagged, lower: null, upper: null };
+        }
+
+        const lower = spread.median - threshold * spread.scale;
+        const upper = spread.median + threshold * spread.scale;
+        records.forEach(record => {
+            if (record.value !== null && (record.value < lower || record.value > upper)) {
+                flagged.add(record);
+            }
+        });
+
+        return { flagged: flagged, lower: lower, upper: upper };
+    }
+
+    /**
+     * Median and robust scale of values
+     * The scale is the MAD, or the mean absolute deviation when over half the values are equal
+     * @param {Float64Array} values - Values (sorted in place)
+     * @returns {Object|null} { median, scale }, null with fewer than 3 values or no spread
+     */
+    getSpread(values) {
+        if (values.length < 3) return null;
+
+        values.sort();
+        const median = this.median(values);
+        const deviations = values.map(value => Math.abs(value - median)).sort();
+        let scale = this.median(deviations) * MAD_SCALE;
+
+        if (scale === 0) {
+            // sqrt(pi / 2) turns the mean absolute deviation into a standard deviation estimate
+            scale = deviations.reduce((total, deviation) => total + deviation, 0) / deviations.length * 1.2533;
+        }
+
+        return scale > 0 ? { median: median, scale: scale } : null;
+    }
+
+    /**
+     * @param {Float64Array} sorted - Values in ascending order
+     * @returns {number} Median
+     */
+    median(sorted) {
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Stretches of days above or below their rolling baseline
+     * @param {Array} days - Day buckets from aggregateByPeriod, oldest first
+     * @param {string} field - Aggregate compared, a key of AGGREGATIONS
+     * @returns {Array} [{ start, end, days, direction, average, baseline }] with start and end as
+     *     day keys, direction 'high' or 'low' and baseline the median before the stretch
+     */
+    findSustained(days, field) {
+        const points = this.trends.getPoints(days, field);
+        const runs = [];
+        let run = null;
+
+        const close = () => {
+            if (run && run.values.length >= ANOMALY_MIN_RUN) {
+                runs.push({
+                    start: run.start,
+                    end: run.end,
+                    days: run.values.length,
+                    direction: run.direction,
+                    average: run.values.reduce((a, b) => a + b, 0) / run.values.length,
+                    baseline: run.baseline
+                });
+            }
+            run = null;
+        };
+
+        let first = 0;
+        points.forEach((point, i) => {
+            // Baseline: the days of the window before this one; a stretch keeps the baseline it started from
+            while (points[first].day < point.day - ANOMALY_BASELINE_DAYS) first++;
+            const spread = run && point.day === run.day + 1 ? run.spread : i - first >= ANOMALY_MIN_BASELINE ?
+                this.getSpread(Float64Array.from(points.slice(first, i), p => p.value)) : null;
+
+            const z = spread ? (point.value - spread.median) / spread.scale : 0;
+            const direction = z >= ANOMALY_DEVIATION ? 'high' : z <= -ANOMALY_DEVIATION ? 'low' : null;
+            const date = days[point.index].date;
+
+            // A run continues on the next calendar day in the same direction
+            if (run && (direction !== run.direction || point.day !== run.day + 1)) close();
+            if (!direction) return;
+
+            if (!run) {
+                run = { start: date, direction: direction, spread: spread, baseline: spread.median, values: [] };
+            }
+            run.end = date;
+            run.day = point.day;
+            run.values.push(point.value);
+        });
+        close();
+
+        return runs;
+    }
+}
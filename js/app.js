@@ -2,21 +2,87 @@
  * Apple Health Data Analyzer - Main Application
  */
 
+// Largest ZIP the browser can load into memory for JSZip (bytes)
+const MAX_ZIP_SIZE = 2 * 1024 * 1024 * 1024 - 1;
+
+// Prior periods the current range can be compared with
+const COMPARISONS = {
+    previous: 'Kỳ trước',
+    lastYear: 'Cùng kỳ năm trước'
+};
+
 class HealthDataApp {
     constructor() {
         // Initialize parser and chart
         this.parser = new HealthDataParser();
         this.chart = new HealthDataChart('dataChart');
+        // Nights are dated in the time zone chosen for the rest of the app
+        this.sleepAnalyzer = new SleepAnalyzer((date, utcOffset) => this.parser.getCivilDate(date, utcOffset));
+        this.correlationAnalyzer = new CorrelationAnalyzer();
+        this.trendAnalyzer = new TrendAnalyzer();
+        this.anomalyDetector = new AnomalyDetector();
+        this.goalTracker = new GoalTracker();
+        this.bloodPressureAnalyzer = new BloodPressureAnalyzer();
+        this.units = new UnitConverter();
+        this.statistics = new StatisticsCalculator();
+        this.exporter = new HealthDataExporter();
+        this.reportAnalyzer = new ReportAnalyzer();
+        this.workoutAnalyzer = new WorkoutAnalyzer();
+        this.routeAnalyzer = new RouteAnalyzer();
+        this.ecgAnalyzer = new ECGAnalyzer();
+        this.sourceDeduplicator = new SourceDeduplicator();
+        this.sources = [];
+        this.store = new HealthDataStore();
+        this.routeCharts = [];
 
         // Current state
         this.currentDataType = null;
+        // Range length (day, week, month, year or custom) and chart bucket size (auto or a period)
         this.currentPeriod = 'week';
         this.currentDateRange = null;
+        this.bucketSize = 'auto';
+        this.compareMode = '';
+        this.comparisonData = [];
+
+        // Metrics of the printable report and the charts drawn in it
+        this.reportTypes = [];
+        this.reportCharts = [];
+
+        // Records are stored in metric units and shown in the preferred unit system
+        this.unitSystem = 'metric';
+
+        // Extra data types drawn over the current one, and the chart type chosen per data type
+        this.overlayTypes = [];
+        this.chartTypes = {};
         this.filteredData = [];
+        this.filteredWorkouts = [];
+        this.workoutTypeFilter = '';
+        this.filteredECGs = [];
         this.currentPage = 1;
         this.itemsPerPage = 50;
         this.searchTerm = '';
         this.sortBy = 'date-desc';
+        this.metadataFilter = '';
+        this.beatChart = null;
+        this.correlationChart = null;
+        // Category values counted per category type, keys of HealthDataParser.getCategoryFilters
+        this.categoryFilters = {};
+
+        // Aggregation chosen by the user per data type, overriding the default
+        this.aggregationOverrides = {};
+        // Trend overlays of the chart, keys of TRENDS
+        this.trends = [];
+        // Outlying samples of the current data and whether they are left out
+        this.anomalies = new Set();
+        this.excludeAnomalies = false;
+        // Daily goals per data type: { value, unit, direction }
+        this.goals = {};
+        // Statistics shown on the value cards, per data type
+        this.statCardOverrides = {};
+
+        // Stored export being viewed, and the source priority saved in the settings
+        this.currentDataset = null;
+        this.savedSourcePriority = [];
 
         // Date picker instance
         this.datePicker = null;
@@ -24,6 +90,9 @@ class HealthDataApp {
         // Initialize UI
         this.initializeUI();
         this.attachEventListeners();
+
+        // Reopen the export stored on this device, if any
+        this.restoreLastDataset();
     }
 
     /**
@@ -32,16 +101,70 @@ class HealthDataApp {
     initializeUI() {
         // Initialize flatpickr date picker
         this.datePicker = flatpickr('#datePicker', {
+            mode: 'range',
             dateFormat: 'd/m/Y',
             onChange: (selectedDates) => {
-                if (selectedDates.length > 0) {
-                    this.handleDateSelect(selectedDates[0]);
+                // Wait for both ends of the range
+                if (selectedDates.length === 2) {
+                    this.setCustomRange(selectedDates[0], selectedDates[1]);
+                    this.updateView();
                 }
             }
         });
 
         // Set initial date range to last 7 days
         this.setDateRange('week');
+
+        this.populateTimeZones();
+
+        const lag = document.getElementById('correlationLag');
+        lag.min = -CORRELATION_MAX_LAG;
+        lag.max = CORRELATION_MAX_LAG;
+    }
+
+    /**
+     * Add the IANA time zones known to the browser to the time zone selector
+     */
+    populateTimeZones() {
+        const select = document.getElementById('timeZoneSelect');
+        const zones = typeof Intl.supportedValuesOf === 'function' ?
+            Intl.supportedValuesOf('timeZone') :
+            ['UTC', 'Asia/Ho_Chi_Minh', 'Asia/Tokyo', 'Europe/London', 'Europe/Paris', 'America/New_York', 'America/Los_Angeles'];
+
+        const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        if (localZone) {
+            select.querySelector('option[value="local"]').textContent = `Giờ của máy này (${localZone})`;
+        }
+
+        zones.forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone;
+            option.textContent = zone.replace(/_/g, ' ');
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Apply the time zone and week start settings to the parser and to the date range
+     */
+    applyBucketing() {
+        const timeZone = document.getElementById('timeZoneSelect').value;
+        const weekStart = parseInt(document.getElementById('weekStartSelect').value, 10);
+        const days = this.currentDateRange ? this.getRangeDays() : null;
+
+        try {
+            this.parser.setBucketing(timeZone, weekStart);
+        } catch (error) {
+            console.warn('Múi giờ không hợp lệ, dùng giờ lúc ghi nhận:', error.message);
+            document.getElementById('timeZoneSelect').value = 'recorded';
+            this.parser.setBucketing('recorded', weekStart);
+        }
+
+        // The range keeps its days, which now start at midnight of the new time zone
+        if (days) {
+            this.currentDateRange = this.getDayRange(days.from, days.to);
+            this.updateRangeControls();
+        }
     }
 
     /**
@@ -89,27 +212,205 @@ class HealthDataApp {
             }
         });
 
+        // Add another export to the current data
+        const mergeFileInput = document.getElementById('mergeFileInput');
+        document.getElementById('mergeFileBtn').addEventListener('click', () => {
+            mergeFileInput.click();
+        });
+
+        mergeFileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.handleFileUpload(e.target.files[0], true);
+            }
+            mergeFileInput.value = '';
+        });
+
         // Data type selection
         document.getElementById('dataTypeSelect').addEventListener('change', (e) => {
             this.currentDataType = e.target.value;
             this.updateView();
         });
 
+        // Aggregation function
+        document.getElementById('aggregationSelect').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.aggregationOverrides[this.currentDataType] = e.target.value;
+            } else {
+                delete this.aggregationOverrides[this.currentDataType];
+            }
+            this.saveSettings();
+            this.updateView();
+        });
+
+        // Category values of category types
+        document.getElementById('categorySelect').addEventListener('change', (e) => {
+            this.categoryFilters[this.currentDataType] = e.target.value;
+            this.saveSettings();
+            this.updateView();
+        });
+
+        // Trend overlays
+        document.querySelectorAll('[data-trend]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.trends = Array.from(document.querySelectorAll('[data-trend]:checked')).map(input => input.dataset.trend);
+                this.saveSettings();
+                this.updateChart();
+            });
+        });
+
+        // Leave outlying samples out of statistics and charts
+        document.getElementById('excludeAnomaliesToggle').addEventListener('change', (e) => {
+            this.excludeAnomalies = e.target.checked;
+            this.saveSettings();
+            this.updateView();
+        });
+
+        // Daily goals
+        document.getElementById('goalBtn').addEventListener('click', () => {
+            const section = document.getElementById('goalSection');
+            section.style.display = section.style.display === 'none' ? 'block' : 'none';
+            if (section.style.display === 'block') {
+                this.updateGoals();
+            }
+        });
+
+        document.getElementById('goalSaveBtn').addEventListener('click', () => {
+            const value = parseFloat(document.getElementById('goalInput').value);
+            if (isNaN(value) || value <= 0) {
+                alert('Vui lòng nhập mục tiêu lớn hơn 0');
+                return;
+            }
+            this.goals[this.currentDataType] = {
+                value: value,
+                // Unit of the daily values, set by updateGoals
+                unit: document.getElementById('goalUnit').dataset.unit || '',
+                direction: document.getElementById('goalDirection').value
+            };
+            this.saveSettings();
+            this.updateView();
+        });
+
+        document.getElementById('goalClearBtn').addEventListener('click', () => {
+            delete this.goals[this.currentDataType];
+            this.saveSettings();
+            this.updateView();
+        });
+
+        // Statistic shown on each value card
+        document.querySelectorAll('.stat-select').forEach(select => {
+            select.addEventListener('change', () => {
+                this.statCardOverrides[this.currentDataType] =
+                    Array.from(document.querySelectorAll('.stat-select')).map(cardSelect => cardSelect.value);
+                this.saveSettings();
+                this.updateStatistics();
+            });
+        });
+
         // Period buttons
         document.querySelectorAll('[data-range]').forEach(btn => {
             btn.addEventListener('click', (e) => {
-                const range = e.target.dataset.range;
-                this.currentPeriod = range;
+                this.setDateRange(e.target.dataset.range);
+                this.updateView();
+            });
+        });
+
+        // Previous / next period
+        document.getElementById('prevRangeBtn').addEventListener('click', () => {
+            this.shiftDateRange(-1);
+            this.updateView();
+        });
+
+        document.getElementById('nextRangeBtn').addEventListener('click', () => {
+            this.shiftDateRange(1);
+            this.updateView();
+        });
+
+        // Range presets
+        document.getElementById('rangePresetSelect').addEventListener('change', (e) => {
+            if (!e.target.value) return;
+            this.applyRangePreset(e.target.value);
+            this.updateView();
+        });
+
+        // Extra series on the chart
+        document.getElementById('seriesAddSelect').addEventListener('change', (e) => {
+            if (e.target.value && !this.overlayTypes.includes(e.target.value)) {
+                this.overlayTypes.push(e.target.value);
+            }
+            e.target.value = '';
+            this.updateView();
+        });
+
+        // Comparison with a prior period
+        document.getElementById('compareSelect').addEventListener('change', (e) => {
+            this.compareMode = e.target.value;
+            this.updateView();
+        });
+
+        // Chart bucket size
+        document.getElementById('bucketSelect').addEventListener('change', (e) => {
+            this.bucketSize = e.target.value;
+            this.saveSettings();
+            this.updateView();
+        });
 
-                // Update active state
-                document.querySelectorAll('[data-range]').forEach(b => b.classList.remove('active'));
-                e.target.classList.add('active');
+        // Cancel upload
+        document.getElementById('cancelUploadBtn').addEventListener('click', () => {
+            this.cancelUpload();
+        });
 
-                this.setDateRange(range);
+        // Time zone and week start of day/week/month/year buckets
+        ['timeZoneSelect', 'weekStartSelect'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.applyBucketing();
+                this.saveSettings();
                 this.updateView();
             });
         });
 
+        // Metric or imperial units
+        document.getElementById('unitSystemSelect').addEventListener('change', (e) => {
+            this.unitSystem = e.target.value;
+            this.saveSettings();
+            this.updateView();
+        });
+
+        // Source priority settings
+        document.getElementById('sourcesBtn').addEventListener('click', () => {
+            const section = document.getElementById('sourcesSection');
+            section.style.display = section.style.display === 'none' ? 'block' : 'none';
+        });
+
+        // Correlation explorer
+        document.getElementById('correlationBtn').addEventListener('click', () => {
+            const section = document.getElementById('correlationSection');
+            section.style.display = section.style.display === 'none' ? 'block' : 'none';
+            if (section.style.display === 'block') {
+                this.updateCorrelation();
+            }
+        });
+
+        ['correlationX', 'correlationY', 'correlationPeriod', 'correlationLag'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateCorrelation());
+        });
+
+        document.getElementById('dedupToggle').addEventListener('change', (e) => {
+            this.sourceDeduplicator.enabled = e.target.checked;
+            this.saveSettings();
+            this.updateView();
+        });
+
+        // Stored exports
+        document.getElementById('datasetsBtn').addEventListener('click', () => {
+            const section = document.getElementById('datasetsSection');
+            section.style.display = section.style.display === 'none' ? 'block' : 'none';
+            this.renderStoredDatasets();
+        });
+
+        document.getElementById('clearDatasetsBtn').addEventListener('click', () => {
+            this.clearStoredDatasets();
+        });
+
         // Reset button
         document.getElementById('resetBtn').addEventListener('click', () => {
             this.resetFilters();
@@ -132,13 +433,61 @@ class HealthDataApp {
             this.sortBy = e.target.value;
             this.renderTable();
         });
+
+        // Table metadata filter
+        document.getElementById('metadataFilter').addEventListener('change', (e) => {
+            this.metadataFilter = e.target.value;
+            this.currentPage = 1;
+            this.renderTable();
+        });
+
+        // Export of the table records or the chart buckets
+        document.querySelectorAll('[data-export]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.exportData(btn.dataset.export, btn.dataset.format);
+            });
+        });
+
+        // Export of every data type
+        document.getElementById('exportAllBtn').addEventListener('click', () => {
+            this.exportAll();
+        });
+
+        // PNG of a chart; the attribute names the chart property of the app
+        document.querySelectorAll('[data-image]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const chart = btn.dataset.image;
+                this.downloadChartImage(this[chart], chart === 'chart' ? this.currentDataType : chart);
+            });
+        });
+
+        // Printable report
+        document.getElementById('reportBtn').addEventListener('click', () => {
+            const section = document.getElementById('reportSection');
+            section.style.display = section.style.display === 'none' ? 'block' : 'none';
+        });
+
+        document.getElementById('reportGenerateBtn').addEventListener('click', () => {
+            this.generateReport();
+        });
+
+        document.getElementById('reportPrintBtn').addEventListener('click', () => {
+            this.printReport();
+        });
+
+        // Workout activity filter
+        document.getElementById('workoutTypeFilter').addEventListener('change', (e) => {
+            this.workoutTypeFilter = e.target.value;
+            this.updateView();
+        });
     }
 
     /**
      * Handle file upload
      * @param {File} file - Uploaded file
+     * @param {boolean} merge - Add the export to the current data instead of replacing it
      */
-    async handleFileUpload(file) {
+    async handleFileUpload(file, merge = false) {
         const isZip = file.name.toLowerCase().endsWith('.zip');
         const isXml = file.name.toLowerCase().endsWith('.xml');
 
@@ -147,90 +496,89 @@ class HealthDataApp {
             return;
         }
 
+        this.uploadCancelled = false;
+
+        // A merged export is parsed on its own, then added to the current data
+        const existing = merge ? this.parser : null;
+        if (merge) {
+            this.parser = new HealthDataParser();
+            document.getElementById('mainContent').style.display = 'none';
+            document.getElementById('uploadSection').style.display = 'block';
+        }
+
         try {
             console.log(`Đang xử lý file: ${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)`);
 
             // Show progress
-            document.getElementById('uploadSection').style.display = 'none';
-            document.getElementById('progressContainer').style.display = 'block';
+            this.showProgress(true);
 
             let exportXML = null;
+            let exportSize = null;
+            let zip = null;
 
             if (isXml) {
-                // Handle XML file directly
-                this.updateProgress(5, 'Đang đọc file XML...');
-                exportXML = await this.readFileAsText(file);
-                console.log(`Đã đọc XML: ${(exportXML.length / 1024 / 1024).toFixed(2)} MB`);
+                // The parser streams the file itself
+                exportXML = file;
+                exportSize = file.size;
             } else {
-                // Handle ZIP file
-                this.updateProgress(5, 'Đang đọc file ZIP...');
-                const zipData = await this.readFileAsArrayBuffer(file);
-
-                this.updateProgress(10, 'Đang giải nén file...');
-                const zip = await JSZip.loadAsync(zipData);
-
-                console.log('Files trong ZIP:', Object.keys(zip.files));
-
-                // Find export.xml - try multiple possible paths
-                const possiblePaths = [
-                    'apple_health_export/export.xml',
-                    'export.xml',
-                    'Export.xml',
-                    'apple_health_export/Export.xml'
-                ];
-
-                let exportFile = null;
-                for (const path of possiblePaths) {
-                    exportFile = zip.file(path);
-                    if (exportFile) {
-                        console.log(`Tìm thấy export.xml tại: ${path}`);
-                        break;
-                    }
-                }
-
-                if (exportFile) {
-                    this.updateProgress(20, 'Đang đọc dữ liệu XML...');
-                    exportXML = await exportFile.async('string');
-                    console.log(`Đã giải nén XML: ${(exportXML.length / 1024 / 1024).toFixed(2)} MB`);
-                } else {
-                    // List all files in ZIP for debugging
-                    const fileList = Object.keys(zip.files).join(', ');
-                    throw new Error(`Không tìm thấy file export.xml trong ZIP. Files có sẵn: ${fileList}`);
-                }
+                // Stream export.xml out of the ZIP without inflating it to one string
+                const entry = await this.openExportZip(file);
+                exportXML = entry.stream;
+                exportSize = entry.size;
+                zip = entry.zip;
             }
 
             // Validate XML content
-            if (!exportXML || exportXML.trim().length === 0) {
+            if (!exportXML || exportSize === 0) {
                 throw new Error('File XML trống hoặc không hợp lệ');
             }
 
-            if (!exportXML.includes('<HealthData') && !exportXML.includes('<healthdata')) {
-                throw new Error('File không phải là dữ liệu Apple Health hợp lệ');
-            }
-
             console.log('Bắt đầu phân tích XML...');
 
             // Parse XML
             await this.parser.parseXML(exportXML, (progress, message) => {
                 this.updateProgress(progress, message);
-            });
+            }, exportSize);
 
             console.log(`Phân tích hoàn tất: ${this.parser.rawData.length} bản ghi`);
 
+            // The ZIP also holds GPX routes of the workouts and ECG recordings
+            if (zip) {
+                await this.loadWorkoutRoutes(zip);
+                await this.loadElectrocardiograms(zip);
+            }
+
             // Check if we have data
-            if (this.parser.rawData.length === 0) {
+            if (this.parser.rawData.length === 0 && this.parser.workouts.length === 0 &&
+                this.parser.electrocardiograms.length === 0) {
                 throw new Error('Không tìm thấy dữ liệu trong file. Vui lòng kiểm tra lại file export.');
             }
 
-            // Initialize data view
-            this.initializeDataView();
-
-            // Hide progress, show main content
-            document.getElementById('progressContainer').style.display = 'none';
-            document.getElementById('mainContent').style.display = 'block';
+            if (merge) {
+                await this.mergeDataset(existing, file.name);
+            } else {
+                // Keep the parsed data on this device so a reload does not require re-importing
+                await this.saveDataset(file.name);
+                this.showData();
+            }
 
             console.log('Tải dữ liệu thành công!');
         } catch (error) {
+            this.showProgress(false);
+            document.getElementById('fileInput').value = '';
+
+            // Go back to the data that was being viewed
+            if (merge) {
+                this.parser = existing;
+                document.getElementById('uploadSection').style.display = 'none';
+                document.getElementById('mainContent').style.display = 'block';
+            }
+
+            if (error.name === 'AbortError') {
+                console.log('Người dùng đã hủy tải file');
+                return;
+            }
+
             console.error('Lỗi xử lý file:', error);
             console.error('Stack trace:', error.stack);
 
@@ -240,228 +588,2608 @@ class HealthDataApp {
             }
 
             alert(`Lỗi: ${errorMessage}\n\nVui lòng kiểm tra console (F12) để xem chi tiết.`);
-            document.getElementById('progressContainer').style.display = 'none';
-            document.getElementById('uploadSection').style.display = 'block';
         }
     }
 
     /**
-     * Read file as ArrayBuffer
-     * @param {File} file - File to read
-     * @returns {Promise<ArrayBuffer>}
+     * Open an Apple Health ZIP and locate export.xml
+     * @param {File} file - ZIP file
+     * @returns {Promise<Object>} { stream, size, path } with a stream of the decompressed XML bytes
      */
-    readFileAsArrayBuffer(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = (e) => reject(new Error('Không thể đọc file'));
-            reader.readAsArrayBuffer(file);
-        });
-    }
+    async openExportZip(file) {
+        if (file.size > MAX_ZIP_SIZE) {
+            throw new Error(this.zipTooLargeMessage(file));
+        }
 
-    /**
-     * Read file as Text
-     * @param {File} file - File to read
-     * @returns {Promise<string>}
-     */
-    readFileAsText(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = (e) => reject(new Error('Không thể đọc file'));
-            reader.readAsText(file, 'UTF-8');
-        });
+        this.updateProgress(2, 'Đang đọc file ZIP...');
+
+        let zip;
+        let zipData;
+        try {
+            zipData = await this.readFileAsArrayBuffer(file);
+            this.throwIfUploadCancelled();
+
+            this.updateProgress(4, 'Đang đọc danh mục file ZIP...');
+            zip = await JSZip.loadAsync(zipData);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            if (error instanceof RangeError || error.name === 'NotReadableError') {
+                throw new Error(this.zipTooLargeMessage(file));
+            }
+            throw error;
+        }
+        this.throwIfUploadCancelled();
+
+        console.log('Files trong ZIP:', Object.keys(zip.files));
+
+        const exportFile = this.findExportEntry(zip);
+        if (!exportFile) {
+            // List all files in ZIP for debugging
+            const fileList = Object.keys(zip.files).join(', ');
+            throw new Error(`Không tìm thấy file export.xml trong ZIP. Files có sẵn: ${fileList}`);
+        }
+
+        console.log(`Tìm thấy export.xml tại: ${exportFile.name}`);
+
+        return {
+            stream: this.createZipEntryStream(exportFile),
+            size: this.getZipEntrySize(zipData, exportFile.name),
+            path: exportFile.name,
+            zip: zip
+        };
     }
 
     /**
-     * Update progress bar
-     * @param {number} percent - Progress percentage
-     * @param {string} message - Progress message
+     * Parse workout-routes/*.gpx files and attach them to their workouts
+     * Routes are matched through WorkoutRoute/FileReference, or by time for older exports
+     * @param {JSZip} zip - Loaded archive
      */
-    updateProgress(percent, message) {
-        document.getElementById('progressFill').style.width = `${percent}%`;
-        document.getElementById('progressText').textContent = message;
+    async loadWorkoutRoutes(zip) {
+        const entries = Object.values(zip.files).filter(entry =>
+            !entry.dir && /(^|\/)workout-routes\/[^/]+\.gpx$/i.test(entry.name)
+        );
+        if (entries.length === 0) return;
+
+        console.log(`Tìm thấy ${entries.length} file lộ trình GPX`);
+
+        const analyzer = this.routeAnalyzer;
+        const byName = new Map(entries.map(entry => [analyzer.getFileName(entry.name), entry]));
+        const linked = new Set();
+        let loaded = 0;
+
+        const readTrack = async (entry) => {
+            this.throwIfUploadCancelled();
+            this.updateProgress(100, `Đang đọc lộ trình ${++loaded} / ${entries.length}...`);
+            const track = analyzer.parseGPX(await entry.async('string'));
+            linked.add(entry.name);
+            return track;
+        };
+
+        for (const workout of this.parser.workouts) {
+            for (const route of workout.routes) {
+                const entry = route.path ? byName.get(analyzer.getFileName(route.path)) : null;
+                if (!entry || linked.has(entry.name)) continue;
+
+                route.track = await readTrack(entry);
+                route.totals = analyzer.computeTotals(route.track);
+            }
+        }
+
+        // Older exports do not reference their routes
+        for (const entry of entries) {
+            if (linked.has(entry.name)) continue;
+
+            const track = await readTrack(entry);
+            const workout = analyzer.findWorkoutForTrack(this.parser.workouts, track);
+            if (!workout) continue;
+
+            workout.routes.push({
+                sourceName: workout.sourceName,
+                startDate: new Date(track.time[0]),
+                endDate: new Date(track.time[track.count - 1]),
+                path: entry.name,
+                metadata: {},
+                track: track,
+                totals: analyzer.computeTotals(track)
+            });
+        }
     }
 
     /**
-     * Initialize data view after parsing
+     * Parse electrocardiograms/ecg_*.csv files
+     * @param {JSZip} zip - Loaded archive
      */
-    initializeDataView() {
-        console.log('Initializing data view...');
+    async loadElectrocardiograms(zip) {
+        const entries = Object.values(zip.files).filter(entry =>
+            !entry.dir && /(^|\/)electrocardiograms\/[^/]+\.csv$/i.test(entry.name)
+        );
+        if (entries.length === 0) return;
 
-        // Populate data type selector
-        const dataTypes = this.parser.getDataTypes();
-        console.log(`Found ${dataTypes.length} data types`);
+        console.log(`Tìm thấy ${entries.length} file điện tâm đồ`);
 
-        if (dataTypes.length === 0) {
-            console.error('No data types found!');
-            alert('Không tìm thấy loại dữ liệu nào. Vui lòng kiểm tra file XML.');
-            return;
+        const recordings = [];
+        for (let i = 0; i < entries.length; i++) {
+            this.throwIfUploadCancelled();
+            this.updateProgress(100, `Đang đọc điện tâm đồ ${i + 1} / ${entries.length}...`);
+
+            const ecg = this.ecgAnalyzer.parseCSV(await entries[i].async('string'), entries[i].name.split('/').pop());
+            if (ecg && ecg.date) recordings.push(ecg);
         }
 
-        const select = document.getElementById('dataTypeSelect');
+        this.parser.electrocardiograms = recordings.sort((a, b) => b.date - a.date);
+    }
 
-        select.innerHTML = '<option value="">-- Chọn loại dữ liệu --</option>';
+    /**
+     * Initialize the view and show the main content once data is loaded
+     */
+    showData() {
+        this.initializeDataView();
 
-        dataTypes.forEach(type => {
-            const option = document.createElement('option');
-            option.value = type;
-            option.textContent = this.parser.getFriendlyName(type);
-            select.appendChild(option);
-        });
+        // Hide progress, show main content
+        this.showProgress(false);
+        document.getElementById('uploadSection').style.display = 'none';
+        document.getElementById('mainContent').style.display = 'block';
+        document.getElementById('datasetsSection').style.display = 'none';
+        document.getElementById('mergeSummary').style.display = 'none';
 
-        console.log(`Added ${dataTypes.length} options to select`);
+        this.updateDatasetBanner();
+    }
 
-        // Select first data type
-        if (dataTypes.length > 0) {
-            this.currentDataType = dataTypes[0];
-            select.value = dataTypes[0];
-            console.log(`Selected default data type: ${this.currentDataType}`);
+    /**
+     * Merge the export held by this.parser into the data that was loaded before
+     * @param {HealthDataParser} existing - Parser with the current data
+     * @param {string} name - Name of the imported file
+     */
+    async mergeDataset(existing, name) {
+        const imported = this.parser;
+        const typesBefore = new Set(existing.dataTypes);
+
+        this.updateProgress(100, 'Đang gộp dữ liệu...');
+        const added = existing.mergeFrom(imported);
+        this.parser = existing;
+
+        console.log(`Gộp dữ liệu: ${added.records.length} bản ghi mới, ${added.duplicates} bản ghi trùng`);
+
+        // Store the new data with the dataset being viewed
+        const datasetName = this.currentDataset ? `${this.currentDataset.name} + ${name}` : name;
+        if (this.currentDataset) {
+            try {
+                this.currentDataset = await this.store.appendToDataset(this.currentDataset.id, this.parser, added, datasetName,
+                    (fraction, message) => this.updateProgress(fraction * 100, message));
+            } catch (error) {
+                console.warn('Không thể lưu dữ liệu đã gộp vào IndexedDB:', error);
+                this.currentDataset = null;
+            }
+            this.renderStoredDatasets();
+        } else {
+            await this.saveDataset(datasetName);
         }
 
-        // Update view
-        console.log('Updating view...');
-        this.updateView();
+        this.showData();
+        this.showMergeSummary(name, added, imported.rawData.length, typesBefore);
     }
 
     /**
-     * Set date range based on period
-     * @param {string} period - Period type (day, week, month, year)
+     * Show what a merged export added
+     * @param {string} name - Name of the imported file
+     * @param {Object} added - Result of HealthDataParser.mergeFrom
+     * @param {number} importedCount - Records in the imported export
+     * @param {Set} typesBefore - Data types present before the merge
      */
-    setDateRange(period) {
-        const now = new Date();
-        const end = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59);
-        let start;
-
-        switch (period) {
-            case 'day':
-                start = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0);
-                break;
-            case 'week':
-                start = new Date(now);
-                start.setDate(now.getDate() - 7);
-                start.setHours(0, 0, 0, 0);
-                break;
-            case 'month':
-                start = new Date(now);
-                start.setMonth(now.getMonth() - 1);
-                start.setHours(0, 0, 0, 0);
-                break;
-            case 'year':
-                start = new Date(now);
-                start.setFullYear(now.getFullYear() - 1);
-                start.setHours(0, 0, 0, 0);
-                break;
-            default:
-                start = new Date(now);
-                start.setDate(now.getDate() - 7);
+    showMergeSummary(name, added, importedCount, typesBefore) {
+        const panel = document.getElementById('mergeSummary');
+
+        // New records per type with the date range they cover
+        const byType = new Map();
+        added.records.forEach(record => {
+            let entry = byType.get(record.type);
+            if (!entry) {
+                entry = { type: record.type, count: 0, start: record.startDate, end: record.startDate };
+                byType.set(record.type, entry);
+            }
+            entry.count++;
+            if (record.startDate < entry.start) entry.start = record.startDate;
+            if (record.startDate > entry.end) entry.end = record.startDate;
+        });
+        const types = Array.from(byType.values()).sort((a, b) => b.count - a.count);
+        const newTypes = types.filter(entry => !typesBefore.has(entry.type));
+
+        const metrics = [
+            ['Bản ghi mới', added.records.length.toLocaleString()],
+            ['Bản ghi trùng (bỏ qua)', added.duplicates.toLocaleString()],
+            ['Buổi tập mới', added.workouts.length.toLocaleString()],
+            ['Điện tâm đồ mới', added.electrocardiograms.length.toLocaleString()],
+            ['Loại dữ liệu mới', newTypes.length.toLocaleString()]
+        ];
+
+        let html = `
+            <div class="workout-detail-header">
+                <div>
+                    <h3>Đã thêm dữ liệu từ ${this.escapeHtml(name)}</h3>
+                    <p>${importedCount.toLocaleString()} bản ghi trong file, ${added.records.length.toLocaleString()} bản ghi chưa có trước đây</p>
+                </div>
+                <button class="btn btn-secondary btn-small" id="closeMergeSummary">✕ Đóng</button>
+            </div>
+            <div class="workout-metrics">
+                ${metrics.map(([label, value]) => `
+                    <div class="workout-metric">
+                        <span class="workout-metric-label">${label}</span>
+                        <span class="workout-metric-value">${value}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        if (types.length > 0) {
+            html += `
+                <h4>Dữ liệu được thêm</h4>
+                ${this.renderDetailTable(['Loại dữ liệu', 'Bản ghi mới', 'Từ', 'Đến'], types.map(entry => [
+                    `${this.escapeHtml(this.parser.getFriendlyName(entry.type))}${typesBefore.has(entry.type) ? '' : ' <strong>(mới)</strong>'}`,
+                    entry.count.toLocaleString(),
+                    this.formatDateTime(entry.start),
+                    this.formatDateTime(entry.end)
+                ]))}
+            `;
         }
 
-        this.currentDateRange = { start, end };
+        panel.innerHTML = html;
+        panel.style.display = 'block';
+        panel.querySelector('#closeMergeSummary').addEventListener('click', () => {
+            panel.style.display = 'none';
+        });
+        panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
 
     /**
-     * Handle date selection from date picker
-     * @param {Date} date - Selected date
+     * Store the parsed data in IndexedDB
+     * Failing to store (quota, private browsing) does not prevent viewing the data
+     * @param {string} name - Name of the imported file
      */
-    handleDateSelect(date) {
-        const period = this.currentPeriod;
-        const end = new Date(date);
-        end.setHours(23, 59, 59, 999);
-
-        let start = new Date(date);
-
-        switch (period) {
-            case 'day':
-                start.setHours(0, 0, 0, 0);
-                break;
-            case 'week':
-                start.setDate(date.getDate() - 7);
-                start.setHours(0, 0, 0, 0);
-                break;
-            case 'month':
-                start.setMonth(date.getMonth() - 1);
-                start.setHours(0, 0, 0, 0);
-                break;
-            case 'year':
-                start.setFullYear(date.getFullYear() - 1);
-                start.setHours(0, 0, 0, 0);
-                break;
+    async saveDataset(name) {
+        try {
+            this.currentDataset = await this.store.saveDataset(this.parser, name, (fraction, message) => {
+                this.throwIfUploadCancelled();
+                this.updateProgress(fraction * 100, message);
+            });
+            console.log(`Đã lưu dữ liệu vào trình duyệt (dataset ${this.currentDataset.id})`);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn('Không thể lưu dữ liệu vào IndexedDB:', error);
+            this.currentDataset = null;
         }
 
-        this.currentDateRange = { start, end };
-        this.updateView();
+        this.renderStoredDatasets();
     }
 
     /**
-     * Update view with current filters
+     * Restore settings and the last opened export on page load
      */
-    updateView() {
-        console.log('updateView called, currentDataType:', this.currentDataType, 'currentDateRange:', this.currentDateRange);
-
-        if (!this.currentDataType || !this.currentDateRange) {
-            console.warn('Missing currentDataType or currentDateRange, skipping view update');
+    async restoreLastDataset() {
+        let id;
+        try {
+            await this.loadSettings();
+            id = await this.store.getSetting('currentDataset');
+        } catch (error) {
+            console.warn('Không thể mở dữ liệu đã lưu:', error.message);
+            return;
+        }
+
+        await this.renderStoredDatasets();
+        if (id !== undefined) {
+            await this.openStoredDataset(id);
+        }
+    }
+
+    /**
+     * Load a stored export and show it
+     * @param {number} id - Dataset id
+     */
+    async openStoredDataset(id) {
+        this.uploadCancelled = false;
+
+        try {
+            document.getElementById('mainContent').style.display = 'none';
+            document.getElementById('uploadSection').style.display = 'block';
+            this.showProgress(true);
+
+            const parser = new HealthDataParser();
+            const dataset = await this.store.loadDataset(id, parser, (fraction, message) => {
+                this.throwIfUploadCancelled();
+                this.updateProgress(fraction * 100, message);
+            });
+
+            this.parser = parser;
+            this.currentDataset = dataset;
+            this.showData();
+
+            console.log(`Đã mở dữ liệu đã lưu: ${dataset.name}`);
+        } catch (error) {
+            this.showProgress(false);
+
+            if (error.name === 'AbortError') {
+                console.log('Người dùng đã hủy mở dữ liệu đã lưu');
+                return;
+            }
+
+            console.error('Lỗi mở dữ liệu đã lưu:', error);
+            alert(`Không thể mở dữ liệu đã lưu: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show which export is being viewed
+     */
+    updateDatasetBanner() {
+        const text = document.getElementById('datasetBannerText');
+        const dataset = this.currentDataset;
+
+        if (!dataset) {
+            text.textContent = 'Dữ liệu này chưa được lưu trên máy, cần nhập lại sau khi tải lại trang.';
+            return;
+        }
+
+        const exported = dataset.exportDate ? `export ngày ${this.formatDateTime(dataset.exportDate)}` : 'export';
+        text.textContent = `Đã tải ${exported} (${dataset.name}, lưu lúc ${this.formatDateTime(dataset.importedAt)}).`;
+    }
+
+    /**
+     * List the stored exports on the upload page and in the stored data panel
+     */
+    async renderStoredDatasets() {
+        let datasets;
+        try {
+            datasets = await this.store.listDatasets();
+        } catch (error) {
+            console.warn('Không thể đọc danh sách dữ liệu đã lưu:', error.message);
+            datasets = [];
+        }
+
+        document.getElementById('uploadDatasets').style.display = datasets.length > 0 ? 'block' : 'none';
+
+        ['uploadDatasetList', 'datasetList'].forEach(listId => {
+            const list = document.getElementById(listId);
+            list.innerHTML = '';
+
+            if (datasets.length === 0) {
+                list.innerHTML = '<p class="sources-hint">Chưa có dữ liệu nào được lưu.</p>';
+                return;
+            }
+
+            datasets.forEach(dataset => {
+                const isCurrent = this.currentDataset && this.currentDataset.id === dataset.id &&
+                    document.getElementById('mainContent').style.display !== 'none';
+                const item = document.createElement('div');
+                item.className = 'source-item dataset-item';
+                item.innerHTML = `
+                    <div class="source-name">
+                        ${this.escapeHtml(dataset.name)}
+                        <small>${dataset.exportDate ? `Export ngày ${this.formatDateTime(dataset.exportDate)} · ` : ''}lưu lúc ${this.formatDateTime(dataset.importedAt)} · ${dataset.recordCount.toLocaleString()} bản ghi, ${dataset.workoutCount.toLocaleString()} buổi tập</small>
+                    </div>
+                    <div class="source-actions">
+                        <button class="btn btn-primary btn-small" data-action="open" ${isCurrent ? 'disabled' : ''}>${isCurrent ? 'Đang xem' : 'Mở'}</button>
+                        <button class="btn btn-secondary btn-small" data-action="delete">Xóa</button>
+                    </div>
+                `;
+                item.querySelector('[data-action="open"]').addEventListener('click', () => {
+                    this.openStoredDataset(dataset.id).then(() => this.renderStoredDatasets());
+                });
+                item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                    this.deleteStoredDataset(dataset);
+                });
+                list.appendChild(item);
+            });
+        });
+    }
+
+    /**
+     * Delete a stored export
+     * @param {Object} dataset - Dataset description
+     */
+    async deleteStoredDataset(dataset) {
+        if (!confirm(`Xóa dữ liệu đã lưu "${dataset.name}" khỏi trình duyệt?`)) return;
+
+        try {
+            await this.store.deleteDataset(dataset.id);
+        } catch (error) {
+            console.error('Lỗi xóa dữ liệu đã lưu:', error);
+            alert(`Không thể xóa dữ liệu: ${error.message}`);
+            return;
+        }
+
+        // The data stays on screen, but is no longer stored
+        if (this.currentDataset && this.currentDataset.id === dataset.id) {
+            this.currentDataset = null;
+            this.updateDatasetBanner();
+        }
+        this.renderStoredDatasets();
+    }
+
+    /**
+     * Delete every stored export and setting
+     */
+    async clearStoredDatasets() {
+        if (!confirm('Xóa toàn bộ dữ liệu và cài đặt đã lưu trong trình duyệt?')) return;
+
+        try {
+            await this.store.clear();
+        } catch (error) {
+            console.error('Lỗi xóa dữ liệu đã lưu:', error);
+            alert(`Không thể xóa dữ liệu: ${error.message}`);
+            return;
+        }
+
+        this.currentDataset = null;
+        this.savedSourcePriority = [];
+        this.updateDatasetBanner();
+        this.renderStoredDatasets();
+    }
+
+    /**
+     * Restore the saved settings into the controls
+     */
+    async loadSettings() {
+        const settings = await this.store.getSetting('settings');
+        if (!settings) return;
+
+        const timeZoneSelect = document.getElementById('timeZoneSelect');
+        if (Array.from(timeZoneSelect.options).some(option => option.value === settings.timeZone)) {
+            timeZoneSelect.value = settings.timeZone;
+        }
+        document.getElementById('weekStartSelect').value = String(settings.weekStart);
+        document.getElementById('dedupToggle').checked = settings.deduplicate !== false;
+        this.sourceDeduplicator.enabled = settings.deduplicate !== false;
+        this.aggregationOverrides = settings.aggregationOverrides || {};
+        this.categoryFilters = settings.categoryFilters || {};
+        this.statCardOverrides = settings.statCardOverrides || {};
+        this.trends = settings.trends || [];
+        this.excludeAnomalies = settings.excludeAnomalies === true;
+        this.goals = settings.goals || {};
+        document.getElementById('excludeAnomaliesToggle').checked = this.excludeAnomalies;
+        document.querySelectorAll('[data-trend]').forEach(checkbox => {
+            checkbox.checked = this.trends.includes(checkbox.dataset.trend);
+        });
+        this.bucketSize = settings.bucketSize || 'auto';
+        this.chartTypes = settings.chartTypes || {};
+        this.unitSystem = settings.unitSystem || 'metric';
+        document.getElementById('unitSystemSelect').value = this.unitSystem;
+        document.getElementById('bucketSelect').value = this.bucketSize;
+        this.savedSourcePriority = settings.sourcePriority || [];
+    }
+
+    /**
+     * Save the settings to IndexedDB
+     */
+    saveSettings() {
+        const priority = this.sourceDeduplicator.priority;
+
+        // Keep the priority of sources that are not in the current export
+        this.savedSourcePriority = priority.concat(this.savedSourcePriority.filter(name => !priority.includes(name)));
+
+        this.store.setSetting('settings', {
+            timeZone: document.getElementById('timeZoneSelect').value,
+            weekStart: parseInt(document.getElementById('weekStartSelect').value, 10),
+            deduplicate: this.sourceDeduplicator.enabled,
+            aggregationOverrides: this.aggregationOverrides,
+            categoryFilters: this.categoryFilters,
+            statCardOverrides: this.statCardOverrides,
+            trends: this.trends,
+            excludeAnomalies: this.excludeAnomalies,
+            goals: this.goals,
+            bucketSize: this.bucketSize,
+            chartTypes: this.chartTypes,
+            unitSystem: this.unitSystem,
+            sourcePriority: this.savedSourcePriority
+        }).catch(error => console.warn('Không thể lưu cài đặt:', error.message));
+    }
+
+    /**
+     * Find export.xml in any folder of the ZIP, ignoring case
+     * @param {JSZip} zip - Loaded archive
+     * @returns {JSZip.JSZipObject|null} Shallowest matching entry
+     */
+    findExportEntry(zip) {
+        const candidates = Object.values(zip.files).filter(entry =>
+            !entry.dir &&
+            !entry.name.startsWith('__MACOSX/') &&
+            /(^|\/)export\.xml$/i.test(entry.name)
+        );
+
+        candidates.sort((a, b) => a.name.split('/').length - b.name.split('/').length);
+
+        return candidates[0] || null;
+    }
+
+    /**
+     * Expose a ZIP entry as a ReadableStream of decompressed bytes
+     * @param {JSZip.JSZipObject} entry - ZIP entry
+     * @returns {ReadableStream<Uint8Array>}
+     */
+    createZipEntryStream(entry) {
+        let helper = null;
+        let cancelled = false;
+
+        return new ReadableStream({
+            start: (controller) => {
+                helper = entry.internalStream('uint8array');
+                helper
+                    .on('data', (chunk) => {
+                        if (cancelled) return;
+                        controller.enqueue(chunk);
+                        // Stop inflating until the parser catches up
+                        if (controller.desiredSize <= 0) helper.pause();
+                    })
+                    .on('error', (error) => {
+                        if (!cancelled) controller.error(error);
+                    })
+                    .on('end', () => {
+                        if (!cancelled) controller.close();
+                    });
+            },
+            pull: () => {
+                helper.resume();
+            },
+            cancel: () => {
+                cancelled = true;
+                helper.pause();
+            }
+        }, { highWaterMark: 64 });
+    }
+
+    /**
+     * Uncompressed size of a ZIP entry, read from the central directory of the archive
+     * @param {ArrayBuffer} data - ZIP file content
+     * @param {string} name - Entry path
+     * @returns {number} Size in bytes, 0 when the entry is not found
+     */
+    getZipEntrySize(data, name) {
+        const view = new DataView(data);
+        const decoder = new TextDecoder();
+
+        // End of central directory record, followed by a comment of up to 64 KB
+        let end = -1;
+        for (let i = data.byteLength - 22; i >= Math.max(0, data.byteLength - 22 - 65535); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) return 0;
+
+        let offset = view.getUint32(end + 16, true);
+        let entries = view.getUint16(end + 10, true);
+        // ZIP64 archives (over 4 GB or 65535 entries) point to a ZIP64 end of central directory record
+        if ((offset === 0xFFFFFFFF || entries === 0xFFFF) && end >= 20 && view.getUint32(end - 20, true) === 0x07064b50) {
+            const record = Number(view.getBigUint64(end - 12, true));
+            entries = Number(view.getBigUint64(record + 32, true));
+            offset = Number(view.getBigUint64(record + 48, true));
+        }
+
+        for (let i = 0; i < entries && view.getUint32(offset, true) === 0x02014b50; i++) {
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const entryName = decoder.decode(new Uint8Array(data, offset + 46, nameLength));
+
+            if (entryName === name) {
+                const size = view.getUint32(offset + 24, true);
+                if (size !== 0xFFFFFFFF) return size;
+
+                // The ZIP64 extra field starts with the real uncompressed size
+                let extra = offset + 46 + nameLength;
+                const extraEnd = extra + extraLength;
+                while (extra + 4 <= extraEnd) {
+                    if (view.getUint16(extra, true) === 0x0001) return Number(view.getBigUint64(extra + 4, true));
+                    extra += 4 + view.getUint16(extra + 2, true);
+                }
+                return 0;
+            }
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return 0;
+    }
+
+    /**
+     * Message shown when a ZIP cannot be loaded into browser memory
+     * @param {File} file - ZIP file
+     * @returns {string}
+     */
+    zipTooLargeMessage(file) {
+        const sizeGB = (file.size / 1024 / 1024 / 1024).toFixed(2);
+        return `File ZIP (${sizeGB} GB) quá lớn để trình duyệt giải nén. ` +
+            'Hãy giải nén trên máy tính và chọn trực tiếp file export.xml.';
+    }
+
+    /**
+     * Cancel the upload in progress
+     */
+    cancelUpload() {
+        this.uploadCancelled = true;
+        this.parser.cancel();
+    }
+
+    /**
+     * Throw an AbortError if the user cancelled the upload
+     */
+    throwIfUploadCancelled() {
+        if (this.uploadCancelled) {
+            throw new DOMException('Đã hủy tải file', 'AbortError');
+        }
+    }
+
+    /**
+     * Toggle between the upload area and the progress bar
+     * @param {boolean} visible - Show progress
+     */
+    showProgress(visible) {
+        document.getElementById('uploadArea').style.display = visible ? 'none' : 'block';
+        document.getElementById('progressContainer').style.display = visible ? 'block' : 'none';
+        if (visible) this.updateProgress(0, 'Đang xử lý...');
+    }
+
+    /**
+     * Read file as ArrayBuffer
+     * @param {File} file - File to read
+     * @returns {Promise<ArrayBuffer>}
+     */
+    readFileAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = (e) => reject(new Error('Không thể đọc file'));
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * Update progress bar
+     * @param {number} percent - Progress percentage
+     * @param {string} message - Progress message
+     */
+    updateProgress(percent, message) {
+        document.getElementById('progressFill').style.width = `${percent}%`;
+        document.getElementById('progressText').textContent = message;
+    }
+
+    /**
+     * Initialize data view after parsing
+     */
+    initializeDataView() {
+        console.log('Initializing data view...');
+
+        // Populate data type selector
+        const dataTypes = this.parser.getDataTypes();
+        console.log(`Found ${dataTypes.length} data types`);
+
+        // Workouts and ECGs are listed as their own entries at the top
+        if (this.parser.electrocardiograms.length > 0) {
+            dataTypes.unshift(ECG_VIEW);
+        }
+        if (this.parser.workouts.length > 0) {
+            dataTypes.unshift(WORKOUTS_VIEW);
+        }
+
+        if (dataTypes.length === 0) {
+            console.error('No data types found!');
+            alert('Không tìm thấy loại dữ liệu nào. Vui lòng kiểm tra file XML.');
+            return;
+        }
+
+        this.applyBucketing();
+
+        // Every source found; sources ordered by the user before keep their order
+        this.sources = this.sourceDeduplicator.getSources(this.parser.rawData);
+        const defaultPriority = this.sourceDeduplicator.getDefaultPriority(this.sources);
+        this.sourceDeduplicator.setPriority(
+            this.savedSourcePriority.filter(name => defaultPriority.includes(name)).concat(defaultPriority)
+        );
+        this.renderSourceList();
+
+        const select = document.getElementById('dataTypeSelect');
+
+        select.innerHTML = '<option value="">-- Chọn loại dữ liệu --</option>';
+
+        dataTypes.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = this.getTypeLabel(type);
+            select.appendChild(option);
+        });
+
+        console.log(`Added ${dataTypes.length} options to select`);
+
+        // Only record types can be drawn as extra series or correlated
+        const recordTypes = dataTypes.filter(type => type !== WORKOUTS_VIEW && type !== ECG_VIEW);
+        const seriesSelect = document.getElementById('seriesAddSelect');
+        seriesSelect.innerHTML = '<option value="">+ Thêm chỉ số lên biểu đồ...</option>';
+        recordTypes.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = this.getTypeLabel(type);
+            seriesSelect.appendChild(option);
+        });
+        this.overlayTypes = this.overlayTypes.filter(type => dataTypes.includes(type));
+
+        ['correlationX', 'correlationY'].forEach((id, index) => {
+            const correlationSelect = document.getElementById(id);
+            const previous = correlationSelect.value;
+            correlationSelect.innerHTML = '';
+            recordTypes.forEach(type => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = this.getTypeLabel(type);
+                correlationSelect.appendChild(option);
+            });
+            correlationSelect.value = recordTypes.includes(previous) ? previous : recordTypes[Math.min(index, recordTypes.length - 1)] || '';
+        });
+        this.renderReportTypes(recordTypes);
+
+        // Select first data type
+        if (dataTypes.length > 0) {
+            this.currentDataType = dataTypes[0];
+            select.value = dataTypes[0];
+            console.log(`Selected default data type: ${this.currentDataType}`);
+        }
+
+        // Update view
+        console.log('Updating view...');
+        this.updateView();
+    }
+
+    /**
+     * Label of an entry in the data type selector
+     * @param {string} type - Data type or pseudo type
+     * @returns {string} Label
+     */
+    getTypeLabel(type) {
+        switch (type) {
+            case WORKOUTS_VIEW:
+                return `🏃 Các buổi tập luyện (${this.parser.workouts.length.toLocaleString()})`;
+            case ECG_VIEW:
+                return `❤️ Điện tâm đồ - ECG (${this.parser.electrocardiograms.length.toLocaleString()})`;
+            default:
+                return this.parser.getFriendlyName(type);
+        }
+    }
+
+    /**
+     * Set the date range to one period ending on a day
+     * @param {string} period - Period type (day, week, month, year)
+     * @param {Date} anchor - Last day of the range (default: today)
+     */
+    setDateRange(period, anchor = new Date()) {
+        this.currentPeriod = period;
+        this.currentDateRange = this.getPeriodRange(period, anchor);
+        this.updateRangeControls();
+    }
+
+    /**
+     * Range of one period ending on a day
+     * @param {string} period - Period type (day, week, month, year)
+     * @param {Date} anchor - Last day of the range
+     * @returns {Object} { start, end }
+     */
+    getPeriodRange(period, anchor) {
+        const from = this.addPeriods(anchor, period, -1);
+        from.setDate(from.getDate() + 1);
+
+        return this.getDayRange(from, anchor);
+    }
+
+    /**
+     * Set a custom date range covering whole days
+     * @param {Date} from - First day
+     * @param {Date} to - Last day
+     */
+    setCustomRange(from, to) {
+        this.currentPeriod = 'custom';
+        this.currentDateRange = from <= to ? this.getDayRange(from, to) : this.getDayRange(to, from);
+        this.updateRangeControls();
+    }
+
+    /**
+     * Range from the midnight starting one day to the midnight ending another, in the bucketing time zone
+     * @param {Date} from - First day, read from its local calendar date
+     * @param {Date} to - Last day, read from its local calendar date
+     * @returns {Object} { start, end }
+     */
+    getDayRange(from, to) {
+        const key = (date) => this.parser.formatDateKey(new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())));
+        const next = new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1);
+
+        return {
+            start: this.parser.getDayStart(key(from)),
+            end: new Date(this.parser.getDayStart(key(next)).getTime() - 1)
+        };
+    }
+
+    /**
+     * Day a time falls on in the bucketing time zone, as a local calendar date for the date
+     * picker and period arithmetic
+     * @param {Date} date - Time
+     * @returns {Date} Local midnight of that day
+     */
+    getCivilDay(date) {
+        const [year, month, day] = this.parser.getPeriodKey(date, 'day').split('-').map(part => parseInt(part, 10));
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * First and last day of a range
+     * @param {Object} range - { start, end } (default: the current range)
+     * @returns {Object} { from, to } as local calendar dates
+     */
+    getRangeDays(range = this.currentDateRange) {
+        return { from: this.getCivilDay(range.start), to: this.getCivilDay(range.end) };
+    }
+
+    /**
+     * Add a number of periods to a date, keeping the day of the month within the target month
+     * @param {Date} date - Start date
+     * @param {string} period - Period type (day, week, month, year)
+     * @param {number} count - Number of periods, negative to go back
+     * @returns {Date} New date
+     */
+    addPeriods(date, period, count) {
+        const result = new Date(date);
+
+        switch (period) {
+            case 'day':
+                result.setDate(result.getDate() + count);
+                break;
+            case 'week':
+                result.setDate(result.getDate() + count * 7);
+                break;
+            case 'month':
+            case 'year': {
+                const months = period === 'year' ? count * 12 : count;
+                const day = result.getDate();
+                result.setDate(1);
+                result.setMonth(result.getMonth() + months);
+                const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+                result.setDate(Math.min(day, lastDay));
+                break;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Move the date range to the previous or next period of the same length
+     * @param {number} direction - -1 for the previous period, 1 for the next one
+     */
+    shiftDateRange(direction) {
+        this.currentDateRange = this.getShiftedRange(direction);
+        this.updateRangeControls();
+    }
+
+    /**
+     * Previous or next period of the same length as the current range
+     * @param {number} direction - -1 for the previous period, 1 for the next one
+     * @returns {Object} { start, end }
+     */
+    getShiftedRange(direction) {
+        const { from, to } = this.getRangeDays();
+
+        if (this.currentPeriod === 'custom') {
+            const days = Math.round((to - from) / 86400000) + 1;
+            return this.getDayRange(
+                new Date(from.getFullYear(), from.getMonth(), from.getDate() + direction * days),
+                new Date(to.getFullYear(), to.getMonth(), to.getDate() + direction * days)
+            );
+        }
+
+        // The previous period ends the day before the current one starts
+        const anchor = direction < 0
+            ? new Date(from.getFullYear(), from.getMonth(), from.getDate() - 1)
+            : this.addPeriods(to, this.currentPeriod, 1);
+        return this.getPeriodRange(this.currentPeriod, anchor);
+    }
+
+    /**
+     * Prior period the current range is compared with
+     * @returns {Object|null} { start, end }, or null when comparison is off
+     */
+    getComparisonRange() {
+        switch (this.compareMode) {
+            case 'previous':
+                return this.getShiftedRange(-1);
+            case 'lastYear': {
+                const { from, to } = this.getRangeDays();
+                return this.getDayRange(this.addPeriods(from, 'year', -1), this.addPeriods(to, 'year', -1));
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Apply a range preset
+     * @param {string} preset - last7, last30, last90, ytd, first (first record of the current type to today) or all
+     */
+    applyRangePreset(preset) {
+        const today = new Date();
+
+        switch (preset) {
+            case 'last7':
+            case 'last30':
+            case 'last90': {
+                const start = new Date(today);
+                start.setDate(start.getDate() - parseInt(preset.slice(4), 10) + 1);
+                this.setCustomRange(start, today);
+                break;
+            }
+            case 'ytd':
+                this.setCustomRange(new Date(today.getFullYear(), 0, 1), today);
+                break;
+            case 'first': {
+                const extent = this.getDataExtent(this.currentDataType);
+                if (!extent) return;
+                this.setCustomRange(this.getCivilDay(extent.start), today);
+                break;
+            }
+            case 'all': {
+                const extent = this.getDataExtent();
+                if (!extent) return;
+                this.setCustomRange(this.getCivilDay(extent.start), this.getCivilDay(extent.end));
+                break;
+            }
+        }
+
+        document.getElementById('rangePresetSelect').value = preset;
+    }
+
+    /**
+     * First and last date of the loaded data
+     * @param {string} type - Data type, WORKOUTS_VIEW or ECG_VIEW (default: all data)
+     * @returns {Object|null} { start, end } or null when there is no data
+     */
+    getDataExtent(type = null) {
+        // Records, workouts and ECGs are sorted newest first
+        const dates = [];
+        const addExtent = (items, field) => {
+            if (items.length === 0) return;
+            dates.push(items[0][field], items[items.length - 1][field]);
+        };
+
+        if (type === WORKOUTS_VIEW) {
+            addExtent(this.parser.workouts, 'startDate');
+        } else if (type === ECG_VIEW) {
+            addExtent(this.parser.electrocardiograms.filter(ecg => ecg.date), 'date');
+        } else if (type) {
+            addExtent(this.parser.rawData.filter(record => record.type === type), 'startDate');
+        } else {
+            addExtent(this.parser.rawData, 'startDate');
+            addExtent(this.parser.workouts, 'startDate');
+            addExtent(this.parser.electrocardiograms.filter(ecg => ecg.date), 'date');
+        }
+
+        if (dates.length === 0) return null;
+        return {
+            start: new Date(Math.min(...dates)),
+            end: new Date(Math.max(...dates))
+        };
+    }
+
+    /**
+     * Period used to group chart data
+     * In automatic mode the bucket grows with the length of the date range
+     * @returns {string} day, week, month or year
+     */
+    getBucketSize() {
+        if (this.bucketSize !== 'auto') return this.bucketSize;
+
+        const days = (this.currentDateRange.end - this.currentDateRange.start) / 86400000;
+        if (days <= 31) return 'day';
+        if (days <= 184) return 'week';
+        if (days <= 1100) return 'month';
+        return 'year';
+    }
+
+    /**
+     * Show the current date range in the range controls
+     */
+    updateRangeControls() {
+        const { from, to } = this.getRangeDays();
+
+        document.querySelectorAll('[data-range]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.range === this.currentPeriod);
+        });
+        document.getElementById('rangePresetSelect').value = '';
+        document.getElementById('rangeLabel').textContent = from.getTime() === to.getTime()
+            ? from.toLocaleDateString('vi-VN')
+            : `${from.toLocaleDateString('vi-VN')} - ${to.toLocaleDateString('vi-VN')}`;
+
+        if (this.datePicker) {
+            this.datePicker.setDate([from, to], false);
+        }
+    }
+
+    /**
+     * Update view with current filters
+     */
+    updateView() {
+        console.log('updateView called, currentDataType:', this.currentDataType, 'currentDateRange:', this.currentDateRange);
+
+        if (!this.currentDataType || !this.currentDateRange) {
+            console.warn('Missing currentDataType or currentDateRange, skipping view update');
+            return;
+        }
+
+        // Workouts and ECGs replace the record table with their own list
+        const listSections = { [WORKOUTS_VIEW]: 'workoutsSection', [ECG_VIEW]: 'ecgSection' };
+        const listSection = listSections[this.currentDataType];
+        Object.values(listSections).forEach(id => {
+            document.getElementById(id).style.display = id === listSection ? 'block' : 'none';
+        });
+        document.getElementById('tableSection').style.display = listSection ? 'none' : 'block';
+        // Blood pressure readings are charted one by one, so bucketing options do not apply
+        const bloodPressure = this.currentDataType === BLOOD_PRESSURE_TYPE;
+        document.getElementById('aggregationGroup').style.display = listSection || bloodPressure ? 'none' : '';
+        document.getElementById('compareGroup').style.display = listSection || bloodPressure ? 'none' : '';
+        document.getElementById('chartSeries').style.display =
+            listSection || bloodPressure || this.currentDataType === SLEEP_TYPE ? 'none' : '';
+        document.getElementById('chartTrends').style.display =
+            listSection || bloodPressure || this.currentDataType === SLEEP_TYPE ? 'none' : '';
+        if (listSection) {
+            document.getElementById('anomalyBar').style.display = 'none';
+            document.getElementById('anomalyRuns').innerHTML = '';
+        }
+        document.getElementById('chartExport').style.display = listSection ? 'none' : '';
+        document.getElementById('bloodPressureSection').style.display = bloodPressure ? 'block' : 'none';
+        document.getElementById('workoutDetail').style.display = 'none';
+        document.getElementById('categoryGroup').style.display = this.parser.isCategoryType(this.currentDataType) ? '' : 'none';
+        // Workouts, ECGs and blood pressure fill the value cards with their own figures
+        document.querySelectorAll('.stat-select').forEach(select => {
+            select.style.display = listSection || bloodPressure ? 'none' : '';
+        });
+        document.querySelectorAll('.stat-note').forEach(note => {
+            note.textContent = '';
+        });
+        this.setStatDeltas(null);
+
+        if (document.getElementById('correlationSection').style.display === 'block') {
+            this.updateCorrelation();
+        }
+        if (document.getElementById('goalSection').style.display === 'block') {
+            this.updateGoals();
+        }
+
+        if (listSection) {
+            document.getElementById('sleepSection').style.display = 'none';
+            this.filteredData = [];
+            if (this.currentDataType === WORKOUTS_VIEW) {
+                this.updateWorkoutView();
+            } else {
+                this.updateECGView();
+            }
             return;
         }
 
         // Filter data
-        this.filteredData = this.parser.filterData(
+        const records = this.units.toSystem(this.parser.filterData(
             this.currentDataType,
             this.currentDateRange.start,
             this.currentDateRange.end
-        );
+        ), this.unitSystem);
+        this.updateCategorySelect(records);
+        this.filteredData = this.filterCategory(this.currentDataType, records);
+
+        // Overlapping samples of cumulative metrics are counted once, by source priority
+        this.updateDeduplication();
+        this.updateAnomalies();
+        this.comparisonData = this.getComparisonData();
+
+        console.log(`Filtered data: ${this.filteredData.length} records for date range ${this.currentDateRange.start.toLocaleDateString()} - ${this.currentDateRange.end.toLocaleDateString()}`);
+
+        // Update statistics
+        this.updateAggregationSelect();
+        this.updateStatistics();
+
+        // Update chart (sleep gets its own night-by-night view, blood pressure one bar per reading)
+        if (this.currentDataType === SLEEP_TYPE) {
+            this.updateSleepView();
+        } else if (bloodPressure) {
+            document.getElementById('sleepSection').style.display = 'none';
+            this.updateBloodPressureView();
+        } else {
+            document.getElementById('sleepSection').style.display = 'none';
+            this.renderSeriesList();
+            this.updateChart();
+        }
+
+        // Update table
+        this.currentPage = 1;
+        this.updateMetadataFilter();
+        this.renderTable();
+
+        console.log('View update completed');
+    }
+
+    /**
+     * Resolve overlapping sources of the filtered data and show raw vs. de-duplicated totals
+     */
+    updateDeduplication() {
+        const comparison = document.getElementById('dedupComparison');
+
+        if (!this.isDeduplicable(this.currentDataType)) {
+            comparison.textContent = 'Loại dữ liệu này không cộng dồn nên không cần loại bỏ trùng lặp.';
+            return;
+        }
+
+        const deduplicated = this.sourceDeduplicator.deduplicate(this.filteredData);
+        const unit = this.units.formatUnit(this.filteredData[0]?.unit || '');
+        const sum = (records) => records.reduce((total, record) => total + (record.value || 0), 0);
+        const rawTotal = sum(this.filteredData);
+        const total = sum(deduplicated);
+        const format = (value) => `${value.toLocaleString(undefined, { maximumFractionDigits: 2 })} ${unit}`;
+        const removed = rawTotal > 0 ? (rawTotal - total) / rawTotal * 100 : 0;
+
+        comparison.textContent = `${this.parser.getFriendlyName(this.currentDataType)} trong khoảng đã chọn: ` +
+            `tổng thô ${format(rawTotal)}, sau khi loại trùng lặp ${format(total)} (-${removed.toFixed(1)}%).`;
+
+        if (this.sourceDeduplicator.enabled) {
+            this.filteredData = deduplicated;
+        }
+    }
+
+    /**
+     * Whether overlapping samples of a data type are resolved by source priority
+     * @param {string} type - Data type
+     * @returns {boolean} True for cumulative quantity types
+     */
+    isDeduplicable(type) {
+        return !this.parser.isCategoryType(type) && this.parser.getDefaultAggregation(type) === 'sum';
+    }
+
+    /**
+     * Records of the current data type in the comparison range, de-duplicated like the current ones
+     * @returns {Array} Records, empty when comparison is off
+     */
+    getComparisonData() {
+        const range = this.getComparisonRange();
+        return range ? this.getSeriesRecords(this.currentDataType, range.start, range.end) : [];
+    }
+
+    /**
+     * Records of a data type in a date range, de-duplicated like the current ones
+     * @param {string} type - Data type
+     * @param {Date} start - Start date
+     * @param {Date} end - End date
+     * @returns {Array} Records
+     */
+    getSeriesRecords(type, start, end) {
+        const records = this.filterCategory(type, this.units.toSystem(this.parser.filterData(type, start, end), this.unitSystem));
+        if (this.sourceDeduplicator.enabled && this.isDeduplicable(type)) {
+            return this.sourceDeduplicator.deduplicate(records);
+        }
+        return this.excludeAnomalies ? this.withoutAnomalies(type, records) : records;
+    }
+
+    /**
+     * Whether samples of a data type are checked one by one for anomalies
+     * Samples of cumulative metrics cover arbitrary spans, so only measurements are
+     * @param {string} type - Data type
+     * @returns {boolean}
+     */
+    isFlaggable(type) {
+        return !this.parser.isCategoryType(type) && !this.isDeduplicable(type);
+    }
+
+    /**
+     * Records without the samples flagged as anomalies
+     * @param {string} type - Data type
+     * @param {Array} records - Records of the type
+     * @returns {Array} Records
+     */
+    withoutAnomalies(type, records) {
+        if (!this.isFlaggable(type)) return records;
+
+        const flagged = this.anomalyDetector.detect(records).flagged;
+        return flagged.size > 0 ? records.filter(record => !flagged.has(record)) : records;
+    }
+
+    /**
+     * Flag outlying samples of the filtered data, leave them out when asked, and list the
+     * stretches of days away from their baseline
+     */
+    updateAnomalies() {
+        const type = this.currentDataType;
+        const bar = document.getElementById('anomalyBar');
+        const list = document.getElementById('anomalyRuns');
+        this.anomalies = new Set();
+        list.innerHTML = '';
+
+        if (this.parser.isCategoryType(type)) {
+            bar.style.display = 'none';
+            return;
+        }
+        bar.style.display = '';
+
+        const summary = document.getElementById('anomalySummary');
+        const unit = this.units.formatUnit(this.filteredData[0]?.unit || '');
+        const format = (value) => `${value.toLocaleString(undefined, { maximumFractionDigits: 1 })} ${unit}`;
+        if (this.isFlaggable(type)) {
+            const result = this.anomalyDetector.detect(this.filteredData);
+            this.anomalies = result.flagged;
+            if (result.flagged.size === 0) {
+                summary.textContent = 'Không có giá trị bất thường.';
+            } else {
+                summary.textContent = `${result.flagged.size.toLocaleString()} giá trị bất thường ` +
+                    `(ngoài khoảng ${format(result.lower)} - ${format(result.upper)})` +
+                    (this.excludeAnomalies ? ' đã được loại.' : '.');
+            }
+            if (this.excludeAnomalies && result.flagged.size > 0) {
+                this.filteredData = this.filteredData.filter(record => !result.flagged.has(record));
+            }
+        } else {
+            summary.textContent = 'Loại dữ liệu cộng dồn chỉ được so sánh theo ngày.';
+        }
+
+        // Days before the range form the baseline of its first days
+        const { start, end } = this.currentDateRange;
+        const from = new Date(start);
+        from.setDate(from.getDate() - ANOMALY_BASELINE_DAYS);
+        // Outliers are left out of the baseline once, whether or not getSeriesRecords already did
+        const records = this.getSeriesRecords(type, from, end);
+        const days = this.parser.aggregateByPeriod(this.excludeAnomalies ? records : this.withoutAnomalies(type, records), 'day');
+        const field = this.getAggregation(type) === 'sum' ? 'sum' : 'avg';
+        const startKey = this.parser.getPeriodKey(start, 'day');
+        const formatDay = (key) => key.split('-').reverse().join('/');
+
+        this.anomalyDetector.findSustained(days, field)
+            .filter(run => run.end >= startKey)
+            .forEach(run => {
+                const item = document.createElement('li');
+                item.className = run.direction;
+                item.textContent = `${formatDay(run.start)} - ${formatDay(run.end)} (${run.days} ngày): ` +
+                    `${run.direction === 'high' ? 'cao' : 'thấp'} hơn bình thường, trung bình ${format(run.average)} ` +
+                    `so với ${format(run.baseline)} trước đó`;
+                list.appendChild(item);
+            });
+    }
+
+    /**
+     * Daily goal of a data type in the unit of its records
+     * @param {string} type - Data type
+     * @param {string} unit - Display unit of the records the goal is compared with
+     * @returns {Object|null} { value, direction }, null when no goal is set
+     */
+    getGoal(type, unit) {
+        const goal = this.goals[type];
+        if (!goal) return null;
+
+        return {
+            value: this.units.convert(goal.value, goal.unit, unit),
+            direction: goal.direction
+        };
+    }
+
+    /**
+     * Show the goal of the current data type with its completion and streaks
+     */
+    updateGoals() {
+        const type = this.currentDataType;
+        const hint = document.getElementById('goalHint');
+        const details = document.getElementById('goalDetails');
+        const supported = type && type !== WORKOUTS_VIEW && type !== ECG_VIEW && type !== BLOOD_PRESSURE_TYPE;
+
+        document.getElementById('goalControls').style.display = supported ? '' : 'none';
+        document.getElementById('goalTitle').textContent = supported ?
+            `Mục tiêu hằng ngày: ${this.parser.getFriendlyName(type)}` : 'Mục tiêu hằng ngày';
+        if (!supported) {
+            hint.textContent = 'Chọn một chỉ số theo ngày (bước chân, phút tập luyện, giấc ngủ...) để đặt mục tiêu.';
+            details.style.display = 'none';
+            return;
+        }
+
+        // Streaks look back over the whole history, up to the end of the range
+        const { start, end } = this.currentDateRange;
+        const extent = this.getDataExtent(type);
+        const from = extent && extent.start < start ? extent.start : start;
+        const daily = this.getDailyValues(type, from, end);
+
+        const unit = daily.unit;
+        const goal = this.getGoal(type, unit);
+        const input = document.getElementById('goalInput');
+        const suggestion = GOAL_SUGGESTIONS[type];
+        const unitLabel = document.getElementById('goalUnit');
+        unitLabel.textContent = type === SLEEP_TYPE ? 'phút ngủ mỗi đêm' : `${this.units.formatUnit(unit)} mỗi ngày`;
+        unitLabel.dataset.unit = unit;
+        document.getElementById('goalDirection').value = goal ? goal.direction : 'atLeast';
+        input.value = goal ? parseFloat(goal.value.toFixed(2)) : '';
+        input.placeholder = suggestion ? `VD: ${parseFloat(this.units.convert(suggestion, this.units.getCanonicalUnit(type, unit), unit).toFixed(2))}` : 'Mục tiêu';
+
+        if (!goal) {
+            hint.textContent = 'Đặt mục tiêu để xem số ngày hoàn thành và chuỗi ngày liên tiếp.';
+            details.style.display = 'none';
+            return;
+        }
+        const target = type === SLEEP_TYPE ? `${this.formatDuration(goal.value)} ngủ mỗi đêm` :
+            `${goal.value.toLocaleString(undefined, { maximumFractionDigits: 2 })} ${this.units.formatUnit(unit)} mỗi ngày`;
+        hint.textContent = `${GOAL_DIRECTIONS[goal.direction]} ${target}. Chỉ những ngày có dữ liệu được tính.`;
+        details.style.display = '';
+
+        const days = this.goalTracker.evaluate(daily.buckets, daily.field, goal);
+
+        const startKey = this.parser.getPeriodKey(start, 'day');
+        const endKey = this.parser.getPeriodKey(end, 'day');
+        const inRange = days.filter(day => day.date >= startKey && day.date <= endKey);
+        const met = inRange.filter(day => day.met).length;
+        const streaks = this.goalTracker.getStreaks(days, endKey);
+        const formatDay = (key) => key.split('-').reverse().join('/');
+
+        document.getElementById('goalCompletion').textContent = inRange.length > 0 ?
+            `${met}/${inRange.length} ngày (${(met / inRange.length * 100).toFixed(0)}%)` : '-';
+        document.getElementById('goalCurrentStreak').textContent = `${streaks.current} ngày`;
+        document.getElementById('goalLongestStreak').textContent = `${streaks.longest} ngày`;
+        document.getElementById('goalLongestDates').textContent = streaks.longest > 0 ?
+            `${formatDay(streaks.longestStart)} - ${formatDay(streaks.longestEnd)}` : '';
+
+        // Completion per week for short buckets, per month for long ones
+        const byWeek = ['day', 'week'].includes(this.getBucketSize());
+        // Day keys are civil dates already, so weeks are counted on them directly
+        const getPeriodKey = byWeek ? (key) => {
+            const [year, month, day] = key.split('-').map(part => parseInt(part, 10));
+            const daysBack = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() - this.parser.weekStart + 7) % 7;
+            return this.parser.formatDateKey(new Date(Date.UTC(year, month - 1, day - daysBack)));
+        } : (key) => key.slice(0, 7);
+
+        const rates = document.getElementById('goalRates');
+        rates.innerHTML = '';
+        this.goalTracker.getCompletion(inRange, getPeriodKey).forEach(period => {
+            const row = document.createElement('div');
+            row.className = 'sleep-stage';
+            row.innerHTML = `
+                <span class="sleep-stage-name">${byWeek ? 'Tuần ' : ''}${this.chart.formatDateLabel(period.period)}</span>
+                <span class="sleep-stage-bar"><span style="width: ${(period.rate * 100).toFixed(1)}%; background: #34C759"></span></span>
+                <span class="sleep-stage-value">${period.met}/${period.total}</span>
+            `;
+            rates.appendChild(row);
+        });
+    }
+
+    /**
+     * Correlate the two metrics chosen in the correlation explorer over the current date range
+     */
+    updateCorrelation() {
+        const xType = document.getElementById('correlationX').value;
+        const yType = document.getElementById('correlationY').value;
+        const period = document.getElementById('correlationPeriod').value;
+        const lagInput = document.getElementById('correlationLag');
+        const lag = Math.max(-CORRELATION_MAX_LAG, Math.min(CORRELATION_MAX_LAG, parseInt(lagInput.value, 10) || 0));
+        lagInput.value = lag;
+
+        const summary = document.getElementById('correlationSummary');
+        if (!this.correlationChart) {
+            this.correlationChart = new HealthDataChart('correlationChart');
+        }
+
+        if (!xType || !yType || !this.currentDateRange) {
+            summary.textContent = 'Chọn hai loại dữ liệu để xem tương quan.';
+            this.correlationChart.renderEmpty();
+            return;
+        }
+
+        // y is read over the date range moved by the lag, so every x period can find its partner
+        const { start, end } = this.currentDateRange;
+        const lagDays = lag * (period === 'week' ? 7 : 1);
+        const yStart = new Date(start);
+        const yEnd = new Date(end);
+        yStart.setDate(yStart.getDate() + lagDays);
+        yEnd.setDate(yEnd.getDate() + lagDays);
+
+        const x = this.getCorrelationMetric(xType, start, end, period);
+        const y = this.getCorrelationMetric(yType, yStart, yEnd, period);
+        const pairs = this.correlationAnalyzer.align(x.buckets, y.buckets, x.field, y.field, period, lag);
+        const result = this.correlationAnalyzer.analyze(pairs);
+
+        const periodName = period === 'week' ? 'tuần' : 'ngày';
+        const counts = `${x.label}: ${x.count.toLocaleString()} bản ghi; ${y.label}: ${y.count.toLocaleString()} bản ghi; ` +
+            `${result.count.toLocaleString()} ${periodName} có dữ liệu của cả hai.`;
+        const format = (r) => r !== null ? `${r.toFixed(2)} (${this.correlationAnalyzer.describe(r)})` : 'không xác định';
+
+        if (result.count < 3) {
+            summary.textContent = `${counts} Cần ít nhất 3 ${periodName} để tính tương quan.`;
+        } else {
+            const line = result.slope !== null ?
+                ` Đường hồi quy: Y = ${result.slope.toPrecision(3)} × X ${result.intercept < 0 ? '-' : '+'} ${Math.abs(result.intercept).toPrecision(3)}.` : '';
+            summary.textContent = `${counts} Pearson r = ${format(result.pearson)}; Spearman ρ = ${format(result.spearman)}.${line}`;
+        }
+
+        this.correlationChart.renderScatter(pairs, result, { label: x.label, unit: x.unit }, { label: y.label, unit: y.unit });
+    }
+
+    /**
+     * Day-by-day values of a data type, e.g. to check them against a goal
+     * The aggregate depends only on the type, not on the one chosen for the chart: totals for
+     * cumulative and category types, averages for measurements and minutes asleep per night for sleep
+     * @param {string} type - Data type
+     * @param {Date} start - Start date
+     * @param {Date} end - End date
+     * @returns {Object} { unit, field, count, buckets } with the display unit of the records and
+     *     the day buckets of aggregateByPeriod
+     */
+    getDailyValues(type, start, end) {
+        if (type === SLEEP_TYPE) {
+            const nights = this.getNightRecords(start, end);
+            return { unit: 'min', field: 'avg', count: nights.length, buckets: this.parser.aggregateByPeriod(nights, 'day') };
+        }
+
+        const records = this.getSeriesRecords(type, start, end);
+        return {
+            unit: records[0]?.unit || '',
+            field: this.parser.getDefaultAggregation(type),
+            count: records.length,
+            buckets: this.parser.aggregateByPeriod(records, 'day')
+        };
+    }
+
+    /**
+     * Minutes asleep of the nights waking up in a date range, as records dated by the wake-up time
+     * @param {Date} start - Start date
+     * @param {Date} end - End date
+     * @returns {Array} [{ startDate, value, utcOffset }]
+     */
+    getNightRecords(start, end) {
+        // Nights are assigned to their wake-up date, so include samples from the evening before
+        const from = new Date(start);
+        from.setDate(from.getDate() - 1);
+        return this.sleepAnalyzer.groupNights(this.parser.filterData(SLEEP_TYPE, from, end))
+            .filter(night => night.wakeTime >= start && night.wakeTime <= end)
+            .map(night => ({ startDate: night.wakeTime, value: night.asleep, utcOffset: night.wakeOffset }));
+    }
+
+    /**
+     * Per-period values of one metric for the correlation explorer
+     * Sleep is measured as minutes asleep per night, dated by the wake-up day
+     * @param {string} type - Data type
+     * @param {Date} start - Start date
+     * @param {Date} end - End date
+     * @param {string} period - 'day' or 'week'
+     * @returns {Object} { label, unit, field, count, buckets }
+     */
+    getCorrelationMetric(type, start, end, period) {
+        const label = this.parser.getFriendlyName(type);
+
+        if (type === SLEEP_TYPE) {
+            const nights = this.getNightRecords(start, end);
+            return {
+                label: label,
+                unit: 'min',
+                field: 'avg',
+                count: nights.length,
+                buckets: this.parser.aggregateByPeriod(nights, period)
+            };
+        }
+
+        const records = this.getSeriesRecords(type, start, end);
+        const field = this.getAggregation(type);
+        return {
+            label: label,
+            unit: field === 'count' ? '' : this.units.formatUnit(records[0]?.unit || ''),
+            field: field,
+            count: records.length,
+            buckets: this.parser.aggregateByPeriod(records, period)
+        };
+    }
+
+    /**
+     * Render the source priority list
+     */
+    renderSourceList() {
+        const list = document.getElementById('sourceList');
+        const sources = new Map(this.sources.map(source => [source.name, source]));
+        const priority = this.sourceDeduplicator.priority;
+
+        list.innerHTML = '';
+        priority.forEach((name, index) => {
+            const source = sources.get(name);
+            const item = document.createElement('li');
+            item.className = 'source-item';
+            item.innerHTML = `
+                <div class="source-name">
+                    ${this.escapeHtml(name)}
+                    <small>${source.device ? `${this.escapeHtml(source.device)} · ` : ''}${source.count.toLocaleString()} bản ghi</small>
+                </div>
+                <div class="source-actions">
+                    <button class="btn btn-secondary btn-small" data-move="-1" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="btn btn-secondary btn-small" data-move="1" ${index === priority.length - 1 ? 'disabled' : ''}>↓</button>
+                </div>
+            `;
+            item.querySelectorAll('[data-move]').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.sourceDeduplicator.moveSource(name, parseInt(button.dataset.move, 10));
+                    this.saveSettings();
+                    this.renderSourceList();
+                    this.updateView();
+                });
+            });
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Category value filter of a category type
+     * @param {string} type - Data type
+     * @param {Array} records - Records of the type, for the category values they hold
+     * @returns {Object} { key, label, values } from HealthDataParser.getCategoryFilters
+     */
+    getCategoryFilter(type, records = []) {
+        const filters = this.parser.getCategoryFilters(type, records.map(record => record.categoryValue));
+        return filters.find(filter => filter.key === this.categoryFilters[type]) || filters[0];
+    }
+
+    /**
+     * Records of a category type with the chosen category values; other types are unchanged
+     * @param {string} type - Data type
+     * @param {Array} records - Records of the type
+     * @returns {Array} Records
+     */
+    filterCategory(type, records) {
+        if (!this.parser.isCategoryType(type)) return records;
+        return this.parser.filterCategory(records, this.getCategoryFilter(type, records).values);
+    }
+
+    /**
+     * Show the category values of the current data type in the selector
+     * @param {Array} records - Records of the current data type in the date range
+     */
+    updateCategorySelect(records) {
+        if (!this.parser.isCategoryType(this.currentDataType)) return;
+
+        const select = document.getElementById('categorySelect');
+        const values = records.map(record => record.categoryValue);
+        select.innerHTML = '';
+        this.parser.getCategoryFilters(this.currentDataType, values).forEach(filter => {
+            const option = document.createElement('option');
+            option.value = filter.key;
+            option.textContent = filter.label;
+            select.appendChild(option);
+        });
+
+        select.value = this.getCategoryFilter(this.currentDataType, records).key;
+    }
+
+    /**
+     * Update the blood pressure summary, stat cards and chart
+     */
+    updateBloodPressureView() {
+        // Morning and evening follow the selected time zone like the period buckets
+        const getHour = (reading) => this.parser.getCivilDate(reading.startDate, reading.utcOffset).getUTCHours();
+        const summary = this.bloodPressureAnalyzer.summarize(this.filteredData, getHour);
+        const format = (pressure) => pressure ? `${Math.round(pressure.systolic)}/${Math.round(pressure.diastolic)}` : '-';
+        const formatReading = (reading) => reading ? `${Math.round(reading.value)}/${Math.round(reading.diastolic)} mmHg` : '-';
+
+        document.getElementById('bpCount').textContent = summary.count.toLocaleString();
+        document.getElementById('bpAverage').textContent = format(summary.average);
+        document.getElementById('bpMorningLabel').textContent = `Buổi sáng (${BP_MORNING_HOURS[0]}h - ${BP_MORNING_HOURS[1]}h)`;
+        document.getElementById('bpMorning').textContent = summary.morning ?
+            `${format(summary.morning)} (${summary.morning.count} lần)` : '-';
+        document.getElementById('bpEveningLabel').textContent = `Buổi tối (${BP_EVENING_HOURS[0]}h - ${BP_EVENING_HOURS[1]}h)`;
+        document.getElementById('bpEvening').textContent = summary.evening ?
+            `${format(summary.evening)} (${summary.evening.count} lần)` : '-';
+
+        const breakdown = document.getElementById('bpCategories');
+        breakdown.innerHTML = '';
+        BP_CATEGORIES.forEach(category => {
+            const count = summary.categories[category.key];
+            if (count === 0) return;
+            const percent = count / summary.count * 100;
+            const row = document.createElement('div');
+            row.className = 'sleep-stage';
+            row.innerHTML = `
+                <span class="sleep-stage-name">${category.label}</span>
+                <span class="sleep-stage-bar"><span style="width: ${percent.toFixed(1)}%; background: ${category.color}"></span></span>
+                <span class="sleep-stage-value">${count}</span>
+            `;
+            breakdown.appendChild(row);
+        });
+
+        // Stat cards show whole readings instead of the systolic values alone
+        this.setStatLabels('Trung bình', 'Cao nhất', 'Thấp nhất');
+        this.setStatDeltas(null);
+        document.getElementById('avgValue').textContent = summary.average ? `${format(summary.average)} mmHg` : '-';
+        document.getElementById('maxValue').textContent = formatReading(summary.highest);
+        document.getElementById('minValue').textContent = formatReading(summary.lowest);
+
+        this.chart.renderBloodPressure(this.filteredData.slice().reverse(), this.bloodPressureAnalyzer);
+    }
+
+    /**
+     * List the metrics that can be put in the report
+     * @param {Array<string>} types - Record types in the data
+     */
+    renderReportTypes(types) {
+        const list = document.getElementById('reportTypes');
+        const chosen = this.reportTypes.filter(type => types.includes(type));
+        const selected = chosen.length > 0 ? chosen : this.reportAnalyzer.getDefaultTypes(types);
+
+        list.innerHTML = '';
+        types.forEach(type => {
+            const label = document.createElement('label');
+            label.className = 'report-type';
+            label.innerHTML = `
+                <input type="checkbox" value="${this.escapeHtml(type)}"${selected.includes(type) ? ' checked' : ''}>
+                ${this.escapeHtml(this.parser.getFriendlyName(type))}
+            `;
+            list.appendChild(label);
+        });
+    }
+
+    /**
+     * Build the printable report of the chosen metrics over the current date range
+     */
+    generateReport() {
+        const types = Array.from(document.querySelectorAll('#reportTypes input:checked')).map(input => input.value);
+        if (types.length === 0) {
+            alert('Vui lòng chọn ít nhất một chỉ số cho báo cáo');
+            return;
+        }
+        this.reportTypes = types;
+
+        const { start, end } = this.currentDateRange;
+        const period = this.getBucketSize();
+        const recordSets = types.map(type => this.getSeriesRecords(type, start, end));
+        const sources = this.reportAnalyzer.getSources(recordSets);
+
+        this.reportCharts.forEach(chart => chart.destroy());
+        this.reportCharts = [];
+
+        const view = document.getElementById('reportView');
+        view.innerHTML = `
+            <header class="report-header">
+                <h1>Báo cáo sức khỏe</h1>
+                <p><strong>Khoảng thời gian:</strong> ${start.toLocaleDateString('vi-VN')} - ${end.toLocaleDateString('vi-VN')}</p>
+                <p><strong>Nguồn dữ liệu:</strong> ${sources.length > 0 ? sources.map(source => this.escapeHtml(source)).join(', ') : 'không có'}</p>
+                <p><strong>Lập lúc:</strong> ${this.formatDateTime(new Date())}</p>
+            </header>
+            ${types.map((type, index) => this.renderReportMetric(type, recordSets[index], index, period)).join('')}
+        `;
+        view.style.display = 'block';
+
+        // Charts are drawn once their canvases are in the page
+        types.forEach((type, index) => {
+            const chart = new HealthDataChart(`reportChart${index}`);
+            const records = recordSets[index];
+            if (type === BLOOD_PRESSURE_TYPE) {
+                chart.renderBloodPressure(records.slice().reverse(), this.bloodPressureAnalyzer);
+            } else {
+                chart.render(this.parser.aggregateByPeriod(records, period), this.parser.getFriendlyName(type),
+                    this.units.formatUnit(records[0]?.unit || ''), this.getChartType(type), this.getAggregation(type));
+            }
+            this.reportCharts.push(chart);
+        });
+
+        view.querySelectorAll('[data-report-chart]').forEach(btn => {
+            const index = parseInt(btn.dataset.reportChart, 10);
+            btn.addEventListener('click', () => {
+                this.downloadChartImage(this.reportCharts[index], types[index]);
+            });
+        });
+
+        document.getElementById('reportPrintBtn').disabled = false;
+        view.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * HTML of one metric of the report: statistics, trend chart, reading tables and outliers
+     * @param {string} type - Data type
+     * @param {Array} records - Records of the type in the report range
+     * @param {number} index - Position in the report, used for the chart canvas id
+     * @param {string} period - Bucket size of the chart and tables
+     * @returns {string} HTML
+     */
+    renderReportMetric(type, records, index, period) {
+        const name = this.parser.getFriendlyName(type);
+        const pressure = (reading) => `${Math.round(reading.value)}/${Math.round(reading.diastolic)} mmHg`;
+        let statistics;
+        let tables = '';
+
+        if (type === BLOOD_PRESSURE_TYPE) {
+            const getHour = (reading) => this.parser.getCivilDate(reading.startDate, reading.utcOffset).getUTCHours();
+            const summary = this.bloodPressureAnalyzer.summarize(records, getHour);
+            const average = summary.average ?
+                `${Math.round(summary.average.systolic)}/${Math.round(summary.average.diastolic)} mmHg` : '-';
+            statistics = [
+                ['Số lần đo', summary.count.toLocaleString()],
+                ['Trung bình', average],
+                ['Cao nhất', summary.highest ? pressure(summary.highest) : '-'],
+                ['Thấp nhất', summary.lowest ? pressure(summary.lowest) : '-']
+            ];
+
+            if (records.length > 0) {
+                tables = `
+                    <h4>Các lần đo gần nhất</h4>
+                    ${this.renderDetailTable(['Ngày giờ', 'Huyết áp', 'Phân loại'], records.slice(0, REPORT_MAX_ROWS).map(reading => [
+                        this.formatDateTime(reading.startDate),
+                        pressure(reading),
+                        this.bloodPressureAnalyzer.getCategory(this.bloodPressureAnalyzer.classify(reading.value, reading.diastolic)).label
+                    ]))}
+                `;
+            }
+        } else {
+            const cards = this.getStatCards(records, type);
+            statistics = [['Số bản ghi', cards.count.toLocaleString()]].concat(cards.labels.map((label, i) =>
+                [label, cards.values[i] !== null ? cards.formats[i](cards.values[i]) : '-']));
+
+            if (REPORT_RANGE_TYPES.includes(type) && records.length > 0) {
+                const unit = this.units.formatUnit(records[0].unit);
+                const format = (value) => value !== null ? `${Math.round(value)} ${unit}` : '-';
+                const buckets = this.parser.aggregateByPeriod(records, period).reverse().slice(0, REPORT_MAX_ROWS);
+                tables = `
+                    <h4>Theo từng kỳ</h4>
+                    ${this.renderDetailTable(['Kỳ', 'Thấp nhất', 'Trung bình', 'Cao nhất'], buckets.map(bucket => [
+                        this.chart.formatDateLabel(bucket.date),
+                        format(bucket.min),
+                        format(bucket.avg),
+                        format(bucket.max)
+                    ]))}
+                `;
+            }
+        }
+
+        // Samples of cumulative metrics and category durations are not comparable one by one
+        const outliers = this.isFlaggable(type) ? this.reportAnalyzer.findOutliers(records) : [];
+        const unit = this.units.formatUnit(records[0]?.unit || '');
+        const outlierTable = outliers.length === 0 ? '' : `
+            <h4>Giá trị bất thường (điểm z hiệu chỉnh theo trung vị vượt quá ${ANOMALY_THRESHOLD})</h4>
+            ${this.renderDetailTable(['Ngày giờ', 'Giá trị', 'Điểm z', 'Nguồn'], outliers.map(outlier => [
+                this.formatDateTime(outlier.record.startDate),
+                type === BLOOD_PRESSURE_TYPE ? pressure(outlier.record) : `${this.formatRecordValue(outlier.record)} ${this.escapeHtml(unit)}`,
+                `${outlier.score > 0 ? '+' : ''}${outlier.score.toFixed(1)}`,
+                this.escapeHtml(outlier.record.sourceName)
+            ]))}
+        `;
+
+        return `
+            <section class="report-metric">
+                <h2>${this.escapeHtml(name)}</h2>
+                ${this.renderDetailTable(statistics.map(([label]) => label), [statistics.map(([, value]) => value)])}
+                <div class="report-chart">
+                    <canvas id="reportChart${index}"></canvas>
+                </div>
+                <div class="export-actions">
+                    <button class="btn btn-small btn-secondary" data-report-chart="${index}">🖼️ PNG</button>
+                </div>
+                ${tables}
+                ${outlierTable}
+            </section>
+        `;
+    }
+
+    /**
+     * Print the report alone; the browser can save it as PDF
+     */
+    printReport() {
+        document.body.classList.add('printing-report');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-report');
+        }, { once: true });
+        window.print();
+    }
+
+    /**
+     * Download a chart as a PNG image
+     * @param {HealthDataChart} chart - Chart
+     * @param {string} name - Data type or name of the chart, used in the file name
+     */
+    async downloadChartImage(chart, name) {
+        if (!chart) {
+            alert('Biểu đồ chưa được vẽ');
+            return;
+        }
+
+        const { start, end } = this.currentDateRange;
+        const fileName = this.exporter.getFileName(name, this.parser.getPeriodKey(start, 'day'), this.parser.getPeriodKey(end, 'day'));
+
+        try {
+            this.exporter.download(await chart.toImage(), `${fileName}.png`);
+        } catch (error) {
+            console.error('Image export error:', error);
+            alert('Lỗi khi xuất ảnh: ' + error.message);
+        }
+    }
+
+    /**
+     * Update statistics cards
+     */
+    updateStatistics() {
+        const cards = this.getStatCards(this.filteredData);
+
+        document.getElementById('totalRecords').textContent = cards.count.toLocaleString();
+        this.setStatLabels(...cards.labels);
+        ['avg', 'max', 'min'].forEach((id, index) => {
+            const value = cards.values[index];
+            document.getElementById(`${id}Value`).textContent = value !== null ? cards.formats[index](value) : '-';
+            document.getElementById(`${id}Note`).textContent = cards.notes[index];
+        });
+
+        document.querySelectorAll('.stat-select').forEach((select, index) => {
+            if (select.options.length === 0) {
+                Object.entries(STATISTICS).forEach(([key, label]) => {
+                    select.appendChild(new Option(label, key));
+                });
+            }
+            select.value = cards.keys[index];
+        });
+
+        if (this.compareMode) {
+            const previous = this.getStatCards(this.comparisonData);
+            this.setStatDeltas(
+                [cards.count].concat(cards.values),
+                [previous.count].concat(previous.values),
+                [(value) => Math.round(value).toLocaleString()].concat(cards.formats)
+            );
+        }
+    }
+
+    /**
+     * Statistics shown on the value cards of a data type
+     * @param {string} type - Data type
+     * @returns {Array<string>} Three keys of STATISTICS
+     */
+    getStatCardKeys(type) {
+        if (this.statCardOverrides[type]) return this.statCardOverrides[type];
+
+        // Category records are measured by duration, so the total is what matters
+        return this.parser.isCategoryType(type) ? ['sum', 'max', 'min'] : ['avg', 'max', 'min'];
+    }
+
+    /**
+     * Values of the statistics cards for a set of records
+     * @param {Array} records - Records of one data type
+     * @param {string} type - Data type of the records (default: the current one)
+     * @returns {Object} { count, keys, labels, values, formats, notes } of the three value cards
+     *     (null values have no data; notes tell when the lowest and highest values were recorded)
+     */
+    getStatCards(records, type = this.currentDataType) {
+        const stats = this.parser.getStatistics(records);
+        const unit = this.units.formatUnit(stats.unit);
+        const keys = this.getStatCardKeys(type);
+        let values = stats;
+        let format = (value) => `${value.toLocaleString(undefined, { maximumFractionDigits: 2 })} ${unit}`;
+        let formatDate = (date) => this.formatDateTime(date);
+        let perDay = false;
+
+        if (stats.kind === 'category') {
+            format = (value) => this.formatDuration(value);
+        } else if (this.getAggregation(type) === 'sum') {
+            // Cumulative metrics are compared by daily totals, not by sample size
+            const days = this.parser.aggregateByPeriod(records, 'day').filter(day => day.count > 0);
+            values = this.statistics.compute(days, (day) => day.sum, (day) => day.date);
+            formatDate = (key) => key.split('-').reverse().join('/');
+            perDay = true;
+        }
+
+        return {
+            count: stats.count,
+            keys: keys,
+            labels: keys.map(key => perDay && key !== 'sum' ? `${STATISTICS[key]} mỗi ngày` : STATISTICS[key]),
+            values: keys.map(key => values[key]),
+            formats: keys.map(key => key === 'cv' ? (value) => `${(value * 100).toFixed(1)}%` : format),
+            notes: keys.map(key => {
+                const date = key === 'min' ? values.minDate : key === 'max' ? values.maxDate : null;
+                return date ? formatDate(date) : '';
+            })
+        };
+    }
+
+    /**
+     * Show the change of each stat card against the comparison period
+     * @param {Array|null} current - Card values (count, average, maximum, minimum), or null to hide the changes
+     * @param {Array} previous - Card values of the comparison period
+     * @param {Array<function>} formats - Formatter of each card
+     */
+    setStatDeltas(current, previous = [], formats = []) {
+        ['totalRecordsDelta', 'avgDelta', 'maxDelta', 'minDelta'].forEach((id, index) => {
+            const element = document.getElementById(id);
+            element.className = 'stat-delta';
+
+            if (!current) {
+                element.textContent = '';
+                return;
+            }
+
+            const value = current[index];
+            const before = previous[index];
+            if (value === null || before === null) {
+                element.textContent = `${COMPARISONS[this.compareMode]}: không có dữ liệu`;
+                return;
+            }
+
+            const delta = value - before;
+            const sign = delta > 0 ? '+' : delta < 0 ? '-' : '±';
+            const percent = before !== 0 ? ` (${sign}${Math.abs(delta / before * 100).toFixed(1)}%)` : '';
+            element.textContent = `${sign}${formats[index](Math.abs(delta))}${percent} so với ${COMPARISONS[this.compareMode].toLowerCase()}`;
+            if (delta !== 0) element.classList.add(delta > 0 ? 'up' : 'down');
+        });
+    }
+
+    /**
+     * Set the headings of the value stat cards
+     * @param {string} avgLabel - Label of the average card
+     * @param {string} maxLabel - Label of the maximum card
+     * @param {string} minLabel - Label of the minimum card
+     */
+    setStatLabels(avgLabel, maxLabel, minLabel) {
+        document.getElementById('avgLabel').textContent = avgLabel;
+        document.getElementById('maxLabel').textContent = maxLabel;
+        document.getElementById('minLabel').textContent = minLabel;
+    }
+
+    /**
+     * Update chart with aggregated data
+     */
+    updateChart() {
+        const period = this.getBucketSize();
+
+        // Several metrics share one chart; the prior period and trend overlays are only drawn for a single metric
+        const overlays = this.overlayTypes.filter(type => type !== this.currentDataType);
+        document.getElementById('chartTrends').style.display = overlays.length > 0 ? 'none' : '';
+        if (overlays.length > 0) {
+            const { start, end } = this.currentDateRange;
+            const series = [this.currentDataType].concat(overlays).map(type => {
+                const records = type === this.currentDataType ? this.filteredData : this.getSeriesRecords(type, start, end);
+                return {
+                    label: this.parser.getFriendlyName(type),
+                    unit: this.units.formatUnit(records[0]?.unit || ''),
+                    valueField: this.getAggregation(type),
+                    chartType: this.getChartType(type),
+                    data: this.parser.fillPeriods(this.parser.aggregateByPeriod(records, period), start, end, period)
+                };
+            });
+            this.chart.renderSeries(series);
+            this.highlightAnomalies(period);
+            return;
+        }
+
+        let aggregated = this.parser.aggregateByPeriod(this.filteredData, period);
+        const label = this.parser.getFriendlyName(this.currentDataType);
+        const unit = this.units.formatUnit(this.filteredData[0]?.unit || this.comparisonData[0]?.unit || '');
+        const aggregation = this.getAggregation();
+        let comparison = null;
+
+        // Both ranges get every bucket so the prior period lines up by offset
+        const comparisonRange = this.getComparisonRange();
+        if (comparisonRange && (aggregated.length > 0 || this.comparisonData.length > 0)) {
+            const { start, end } = this.currentDateRange;
+            aggregated = this.parser.fillPeriods(aggregated, start, end, period);
+            comparison = {
+                label: COMPARISONS[this.compareMode],
+                data: this.parser.fillPeriods(this.parser.aggregateByPeriod(this.comparisonData, period),
+                    comparisonRange.start, comparisonRange.end, period)
+            };
+        }
+
+        const trends = this.trends.map(key => {
+            const trend = this.trendAnalyzer.compute(key, aggregated, aggregation);
+            const slope = trend.slope !== null ? `: ${this.formatSlope(trend.slope, aggregation === 'count' ? '' : unit, period)}` : '';
+            return { label: TRENDS[key].label + slope, color: TRENDS[key].color, values: trend.values };
+        });
+
+        // Goals apply to the default daily aggregate: totals per day, or averages of any bucket size
+        const goal = this.getGoal(this.currentDataType, this.filteredData[0]?.unit || this.comparisonData[0]?.unit || '');
+        if (goal && aggregation === this.parser.getDefaultAggregation(this.currentDataType) && (period === 'day' || aggregation !== 'sum')) {
+            trends.push({
+                label: `Mục tiêu: ${goal.value.toLocaleString(undefined, { maximumFractionDigits: 2 })} ${unit}`.trim(),
+                color: '#34C759',
+                values: aggregated.map(() => goal.value),
+                dash: [8, 4]
+            });
+        }
+
+        this.chart.render(aggregated, label, unit, this.getChartType(this.currentDataType), aggregation, comparison, trends);
+
+        this.highlightAnomalies(period);
+    }
 
-        console.log(`Filtered data: ${this.filteredData.length} records for date range ${this.currentDateRange.start.toLocaleDateString()} - ${this.currentDateRange.end.toLocaleDateString()}`);
+    /**
+     * Mark the chart buckets holding flagged samples (none left once they are excluded)
+     * @param {string} period - Bucket size of the chart
+     */
+    highlightAnomalies(period) {
+        if (this.anomalies.size > 0 && !this.excludeAnomalies) {
+            this.chart.highlight(Array.from(this.anomalies, record =>
+                this.parser.getPeriodKey(new Date(record.startDate), period, record.utcOffset)));
+        }
+    }
 
-        // Update statistics
-        this.updateStatistics();
+    /**
+     * Aggregation used for a data type
+     * @param {string} type - Data type (default: the current one)
+     * @returns {string} Key of AGGREGATIONS
+     */
+    getAggregation(type = this.currentDataType) {
+        return this.aggregationOverrides[type] || this.parser.getDefaultAggregation(type);
+    }
 
-        // Update chart
-        this.updateChart();
+    /**
+     * Chart type used for a data type
+     * @param {string} type - Data type
+     * @returns {string} 'line' or 'bar'
+     */
+    getChartType(type) {
+        if (this.chartTypes[type]) return this.chartTypes[type];
 
-        // Update table
-        this.currentPage = 1;
-        this.renderTable();
+        // Totals read better as bars, averages as a line
+        const aggregation = this.getAggregation(type);
+        return aggregation === 'sum' || aggregation === 'count' ? 'bar' : 'line';
+    }
 
-        console.log('View update completed');
+    /**
+     * Render the series drawn on the chart with their chart type
+     */
+    renderSeriesList() {
+        const list = document.getElementById('seriesList');
+        const types = [this.currentDataType].concat(this.overlayTypes.filter(type => type !== this.currentDataType));
+
+        list.innerHTML = '';
+        types.forEach(type => {
+            const item = document.createElement('div');
+            item.className = 'series-item';
+            item.innerHTML = `
+                <span class="series-name">${this.escapeHtml(this.parser.getFriendlyName(type))}</span>
+                <select class="select-control">
+                    <option value="line">Đường</option>
+                    <option value="bar">Cột</option>
+                </select>
+                ${type === this.currentDataType ? '' : '<button class="btn btn-secondary btn-small" title="Bỏ khỏi biểu đồ">✕</button>'}
+            `;
+
+            const select = item.querySelector('select');
+            select.value = this.getChartType(type);
+            select.addEventListener('change', () => {
+                this.chartTypes[type] = select.value;
+                this.saveSettings();
+                this.updateChart();
+            });
+
+            const remove = item.querySelector('button');
+            if (remove) {
+                remove.addEventListener('click', () => {
+                    this.overlayTypes = this.overlayTypes.filter(overlay => overlay !== type);
+                    this.renderSeriesList();
+                    this.updateChart();
+                });
+            }
+
+            list.appendChild(item);
+        });
     }
 
     /**
-     * Update statistics cards
+     * Show the aggregation of the current data type in the selector
      */
-    updateStatistics() {
-        const stats = this.parser.getStatistics(this.filteredData);
+    updateAggregationSelect() {
+        const select = document.getElementById('aggregationSelect');
+        const defaultAggregation = this.parser.getDefaultAggregation(this.currentDataType);
+
+        select.innerHTML = '';
+        const auto = document.createElement('option');
+        auto.value = '';
+        auto.textContent = `Tự động (${AGGREGATIONS[defaultAggregation].toLowerCase()})`;
+        select.appendChild(auto);
+
+        Object.entries(AGGREGATIONS).forEach(([key, name]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = name;
+            select.appendChild(option);
+        });
 
-        document.getElementById('totalRecords').textContent = stats.count.toLocaleString();
-        document.getElementById('avgValue').textContent = stats.avg > 0 ?
-            `${stats.avg.toFixed(2)} ${stats.unit}` : '-';
-        document.getElementById('maxValue').textContent = stats.max > 0 ?
-            `${stats.max.toFixed(2)} ${stats.unit}` : '-';
-        document.getElementById('minValue').textContent = stats.min > 0 ?
-            `${stats.min.toFixed(2)} ${stats.unit}` : '-';
+        select.value = this.aggregationOverrides[this.currentDataType] || '';
     }
 
     /**
-     * Update chart with aggregated data
+     * Update the sleep dashboard and stage timeline
      */
-    updateChart() {
-        const aggregated = this.parser.aggregateByPeriod(this.filteredData, this.currentPeriod);
-        const label = this.parser.getFriendlyName(this.currentDataType);
-        const unit = this.filteredData[0]?.unit || '';
+    updateSleepView() {
+        const { start, end } = this.currentDateRange;
+
+        // Nights are assigned to their wake-up date, so include samples from the evening before
+        const from = new Date(start);
+        from.setDate(from.getDate() - 1);
+
+        const records = this.parser.filterData(SLEEP_TYPE, from, end);
+        const nights = this.sleepAnalyzer.groupNights(records)
+            .filter(night => night.wakeTime >= start && night.wakeTime <= end);
+        const summary = this.sleepAnalyzer.summarize(nights);
+
+        document.getElementById('sleepSection').style.display = 'block';
+        document.getElementById('sleepNights').textContent = summary.nights.toLocaleString();
+        document.getElementById('sleepAvgAsleep').textContent = summary.nights > 0 ? this.formatDuration(summary.avgAsleep) : '-';
+        document.getElementById('sleepEfficiency').textContent = summary.nights > 0 ? `${summary.avgEfficiency.toFixed(0)}%` : '-';
+        document.getElementById('sleepBedtime').textContent = summary.bedtime ?
+            `${this.formatClock(summary.bedtime.mean)} ± ${Math.round(summary.bedtime.deviation)} phút` : '-';
+        document.getElementById('sleepWakeTime').textContent = summary.wakeTime ?
+            `${this.formatClock(summary.wakeTime.mean)} ± ${Math.round(summary.wakeTime.deviation)} phút` : '-';
+
+        const stageNames = { deep: 'Ngủ sâu', core: 'Ngủ lõi', rem: 'REM', asleep: 'Đang ngủ', awake: 'Thức giấc' };
+        const breakdown = document.getElementById('sleepStages');
+        breakdown.innerHTML = '';
+        Object.entries(stageNames).forEach(([stage, name]) => {
+            const percent = summary.stagePercent[stage];
+            if (percent <= 0) return;
+            const row = document.createElement('div');
+            row.className = `sleep-stage sleep-stage-${stage}`;
+            row.innerHTML = `
+                <span class="sleep-stage-name">${name}</span>
+                <span class="sleep-stage-bar"><span style="width: ${percent.toFixed(1)}%"></span></span>
+                <span class="sleep-stage-value">${percent.toFixed(0)}%</span>
+            `;
+            breakdown.appendChild(row);
+        });
+
+        this.chart.renderSleepStages(nights);
+    }
+
+    /**
+     * Update stats, chart and list of the workout view
+     */
+    updateWorkoutView() {
+        const { start, end } = this.currentDateRange;
+        const workouts = this.parser.filterWorkouts(null, start, end);
+
+        // Activity filter lists the types present in the range
+        const filter = document.getElementById('workoutTypeFilter');
+        const activityTypes = this.workoutAnalyzer.getActivityTypes(workouts);
+        if (this.workoutTypeFilter && !activityTypes.includes(this.workoutTypeFilter)) {
+            activityTypes.push(this.workoutTypeFilter);
+        }
+        filter.innerHTML = '<option value="">Tất cả loại bài tập</option>';
+        activityTypes.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = this.parser.getWorkoutTypeName(type);
+            filter.appendChild(option);
+        });
+        filter.value = this.workoutTypeFilter;
+
+        this.filteredWorkouts = this.workoutTypeFilter ?
+            workouts.filter(workout => workout.activityType === this.workoutTypeFilter) :
+            workouts;
+
+        // Statistics
+        const summary = this.workoutAnalyzer.summarize(this.filteredWorkouts);
+        document.getElementById('totalRecords').textContent = summary.count.toLocaleString();
+        this.setStatLabels('Tổng thời gian', 'Tổng quãng đường', 'Tổng năng lượng');
+        document.getElementById('avgValue').textContent = summary.minutes > 0 ? this.formatDuration(summary.minutes) : '-';
+        document.getElementById('maxValue').textContent = this.formatUnitTotals(summary.distance);
+        document.getElementById('minValue').textContent = this.formatUnitTotals(summary.energy);
+
+        // Chart: total workout time per period
+        const durations = this.filteredWorkouts.map(workout => ({ startDate: workout.startDate, value: workout.duration }));
+        const aggregated = this.parser.aggregateByPeriod(durations, this.getBucketSize());
+        this.chart.render(aggregated, 'Thời gian tập luyện', 'min', 'bar', 'sum');
+
+        this.renderWorkoutList();
+    }
+
+    /**
+     * Render the list of workouts
+     */
+    renderWorkoutList() {
+        const tbody = document.getElementById('workoutTableBody');
+        tbody.innerHTML = '';
+
+        if (this.filteredWorkouts.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center">Không có buổi tập nào</td></tr>';
+            return;
+        }
+
+        this.filteredWorkouts.forEach(workout => {
+            const row = document.createElement('tr');
+            row.className = 'workout-row';
+            row.innerHTML = `
+                <td>${this.formatDateTime(workout.startDate)}</td>
+                <td>${this.escapeHtml(this.parser.getWorkoutTypeName(workout.activityType))}${workout.routes.some(r => r.track) ? ' 🗺️' : ''}</td>
+                <td>${this.formatDuration(workout.duration)}</td>
+                <td>${workout.totalDistance ? this.formatQuantity(workout.totalDistance, workout.totalDistanceUnit) : '-'}</td>
+                <td>${workout.totalEnergyBurned ? this.formatQuantity(workout.totalEnergyBurned, workout.totalEnergyBurnedUnit, 0) : '-'}</td>
+                <td>${this.escapeHtml(workout.sourceName)}</td>
+            `;
+            row.addEventListener('click', () => {
+                tbody.querySelectorAll('.workout-row').forEach(r => r.classList.remove('selected'));
+                row.classList.add('selected');
+                this.showWorkoutDetail(workout);
+            });
+            tbody.appendChild(row);
+        });
+    }
+
+    /**
+     * Open the detail panel of a workout
+     * @param {Object} workout - Parsed workout
+     */
+    showWorkoutDetail(workout) {
+        const analyzer = this.workoutAnalyzer;
+        const panel = document.getElementById('workoutDetail');
+        const metadata = workout.metadata;
+
+        // Key metrics
+        const metrics = [
+            ['Thời lượng', this.formatDuration(workout.duration)],
+            ['Thời gian di chuyển', this.formatDuration(analyzer.getMovingTime(workout))]
+        ];
+
+        if (workout.totalDistance) {
+            metrics.push(['Quãng đường', this.formatQuantity(workout.totalDistance, workout.totalDistanceUnit)]);
+            const movingTime = analyzer.getMovingTime(workout);
+            if (movingTime > 0) {
+                // Pace per km or per mile, following the unit system
+                const distanceUnit = this.units.getDisplayUnit('', workout.totalDistanceUnit, this.unitSystem);
+                const pace = movingTime / this.units.convert(workout.totalDistance, workout.totalDistanceUnit, distanceUnit);
+                metrics.push(['Pace trung bình', `${this.formatPace(pace)} /${distanceUnit}`]);
+            }
+        }
+        if (workout.totalEnergyBurned) {
+            metrics.push(['Năng lượng', this.formatQuantity(workout.totalEnergyBurned, workout.totalEnergyBurnedUnit, 0)]);
+        }
+
+        const heartRate = analyzer.getStatistic(workout, 'HKQuantityTypeIdentifierHeartRate');
+        if (heartRate && heartRate.average !== null) {
+            metrics.push(['Nhịp tim TB / tối đa', `${heartRate.average.toFixed(0)} / ${(heartRate.maximum || 0).toFixed(0)} ${heartRate.unit}`]);
+        }
+
+        const elevation = analyzer.parseQuantity(metadata.HKElevationAscended);
+        if (elevation) {
+            const meters = elevation.unit === 'cm' ? elevation.value / 100 : elevation.value;
+            metrics.push(['Độ cao tăng', this.formatQuantity(meters, 'm', 0)]);
+        }
+
+        const temperature = analyzer.parseQuantity(metadata.HKWeatherTemperature);
+        if (temperature) {
+            metrics.push(['Nhiệt độ', this.formatQuantity(temperature.value, temperature.unit, 0)]);
+        }
+
+        const humidity = analyzer.parseQuantity(metadata.HKWeatherHumidity);
+        if (humidity) {
+            // Humidity is exported in hundredths of a percent
+            const percent = humidity.value > 100 ? humidity.value / 100 : humidity.value;
+            metrics.push(['Độ ẩm', `${percent.toFixed(0)}%`]);
+        }
+
+        const indoor = analyzer.isIndoor(workout);
+        const placeLabel = indoor === null ? '' : (indoor ? ' · Trong nhà' : ' · Ngoài trời');
+
+        let html = `
+            <div class="workout-detail-header">
+                <div>
+                    <h3>${this.escapeHtml(this.parser.getWorkoutTypeName(workout.activityType))}${placeLabel}</h3>
+                    <p>${this.formatDateTime(workout.startDate)} - ${this.formatDateTime(workout.endDate)} · ${this.escapeHtml(workout.sourceName)}</p>
+                </div>
+                <button class="btn btn-secondary btn-small" id="closeWorkoutDetail">✕ Đóng</button>
+            </div>
+            <div class="workout-metrics">
+                ${metrics.map(([label, value]) => `
+                    <div class="workout-metric">
+                        <span class="workout-metric-label">${label}</span>
+                        <span class="workout-metric-value">${value}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        // Route drawing and profiles
+        const route = workout.routes.find(r => r.track && r.track.count > 1);
+        if (route) {
+            const totals = route.totals;
+            const speedUnit = this.units.getDisplayUnit('', 'km/hr', this.unitSystem);
+            const heightUnit = this.units.getDisplayUnit('', 'm', this.unitSystem);
+            const speed = (value) => this.units.convert(value, 'km/hr', speedUnit).toFixed(1);
+            const height = (value) => this.units.convert(value, 'm', heightUnit).toFixed(0);
+            const routeMetrics = [
+                ['Quãng đường GPS', this.formatQuantity(totals.distance, 'km')],
+                ['Thời gian di chuyển', this.formatDuration(totals.movingTime)],
+                ['Tốc độ TB / tối đa', `${speed(totals.avgSpeed)} / ${speed(totals.maxSpeed)} ${this.units.formatUnit(speedUnit)}`],
+                ['Độ cao tăng / giảm', `${height(totals.elevationGain)} / ${height(totals.elevationLoss)} ${this.units.formatUnit(heightUnit)}`]
+            ];
+            if (totals.minElevation !== null) {
+                routeMetrics.push(['Độ cao thấp / cao nhất',
+                    `${height(totals.minElevation)} / ${height(totals.maxElevation)} ${this.units.formatUnit(heightUnit)}`]);
+            }
+
+            html += `
+                <h4>Lộ trình</h4>
+                <div class="workout-metrics">
+                    ${routeMetrics.map(([label, value]) => `
+                        <div class="workout-metric">
+                            <span class="workout-metric-label">${label}</span>
+                            <span class="workout-metric-value">${value}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="route-map"><canvas id="routeCanvas"></canvas></div>
+                <div class="route-profiles">
+                    <div class="route-profile"><canvas id="routeElevationChart"></canvas></div>
+                    <div class="route-profile"><canvas id="routeSpeedChart"></canvas></div>
+                </div>
+            `;
+        }
+
+        // Activities of multisport workouts
+        if (workout.activities.length > 1) {
+            html += `
+                <h4>Các phần của buổi tập</h4>
+                ${this.renderDetailTable(['Hoạt động', 'Bắt đầu', 'Thời lượng'], workout.activities.map(activity => [
+                    this.escapeHtml(this.parser.getWorkoutTypeName(activity.activityType)),
+                    activity.startDate ? this.formatDateTime(activity.startDate) : '-',
+                    activity.duration !== null ? this.formatDuration(activity.duration) : '-'
+                ]))}
+            `;
+        }
+
+        // Statistics
+        if (workout.statistics.length > 0) {
+            html += `
+                <h4>Thống kê</h4>
+                ${this.renderDetailTable(['Chỉ số', 'Trung bình', 'Thấp nhất', 'Cao nhất', 'Tổng', 'Đơn vị'], workout.statistics.map(stat => {
+                    const unit = this.units.getDisplayUnit(stat.type, this.units.getCanonicalUnit(stat.type, stat.unit), this.unitSystem);
+                    const format = (value) => value !== null ? this.units.convert(value, stat.unit, unit).toFixed(2) : '-';
+                    return [
+                        this.parser.getFriendlyName(stat.type),
+                        format(stat.average),
+                        format(stat.minimum),
+                        format(stat.maximum),
+                        format(stat.sum),
+                        this.units.formatUnit(unit)
+                    ];
+                }))}
+            `;
+        }
+
+        // Laps and segments
+        [['Lap', 'Vòng (lap)'], ['Segment', 'Phân đoạn']].forEach(([kind, title]) => {
+            const splits = analyzer.getSplits(workout, kind);
+            if (splits.length === 0) return;
+            html += `
+                <h4>${title}</h4>
+                ${this.renderDetailTable(['#', 'Bắt đầu sau', 'Thời lượng'], splits.map(split => [
+                    split.index,
+                    this.formatDuration(split.offset),
+                    this.formatDuration(split.minutes)
+                ]))}
+            `;
+        });
+
+        // Pause timeline
+        const pauses = analyzer.getPauses(workout);
+        if (pauses.length > 0) {
+            const span = Math.max(workout.endDate - workout.startDate, 1);
+            html += `
+                <h4>Tạm dừng (${pauses.length})</h4>
+                <div class="pause-timeline">
+                    ${pauses.map(pause => `
+                        <span class="pause-block pause-${pause.type}"
+                            style="left: ${((pause.start - workout.startDate) / span * 100).toFixed(2)}%; width: ${Math.max((pause.end - pause.start) / span * 100, 0.5).toFixed(2)}%"
+                            title="${this.formatDateTime(pause.start)} (${pause.minutes.toFixed(1)} phút)"></span>
+                    `).join('')}
+                </div>
+                ${this.renderDetailTable(['Bắt đầu', 'Kết thúc', 'Thời lượng', 'Loại'], pauses.map(pause => [
+                    this.formatDateTime(pause.start),
+                    this.formatDateTime(pause.end),
+                    `${pause.minutes.toFixed(1)} phút`,
+                    pause.type === 'manual' ? 'Thủ công' : 'Tự động'
+                ]))}
+            `;
+        }
+
+        // Remaining metadata
+        const shownKeys = ['HKIndoorWorkout', 'HKElevationAscended', 'HKWeatherTemperature', 'HKWeatherHumidity'];
+        const otherMetadata = Object.entries(metadata).filter(([key]) => !shownKeys.includes(key));
+        if (otherMetadata.length > 0) {
+            html += `
+                <h4>Thông tin khác</h4>
+                ${this.renderDetailTable(['Khóa', 'Giá trị'], otherMetadata.map(([key, value]) => [
+                    this.escapeHtml(key.replace(/^HK/, '')),
+                    this.escapeHtml(value)
+                ]))}
+            `;
+        }
+
+        this.routeCharts.forEach(chart => chart.destroy());
+        this.routeCharts = [];
+
+        panel.innerHTML = html;
+        panel.style.display = 'block';
+
+        if (route) {
+            const profiles = this.routeAnalyzer.getProfiles(route.track);
+            const map = new HealthDataChart('routeCanvas');
+            const elevationChart = new HealthDataChart('routeElevationChart');
+            const speedChart = new HealthDataChart('routeSpeedChart');
+
+            // Profiles are in km, m and km/h; shown in the units of the unit system
+            const distanceUnit = this.units.getDisplayUnit('', 'km', this.unitSystem);
+            const heightUnit = this.units.getDisplayUnit('', 'm', this.unitSystem);
+            const speedUnit = this.units.getDisplayUnit('', 'km/hr', this.unitSystem);
+            const convert = (points, unit, displayUnit) => points.map(point => ({
+                x: this.units.convert(point.x, 'km', distanceUnit),
+                y: this.units.convert(point.y, unit, displayUnit)
+            }));
+
+            map.renderRoute(route.track, this.routeAnalyzer);
+            elevationChart.renderProfile(convert(profiles.elevation, 'm', heightUnit), 'Độ cao',
+                this.units.formatUnit(heightUnit), '#34C759', distanceUnit);
+            speedChart.renderProfile(convert(profiles.speed, 'km/hr', speedUnit), 'Tốc độ',
+                this.units.formatUnit(speedUnit), '#007AFF', distanceUnit);
+
+            this.routeCharts = [map, elevationChart, speedChart];
+        }
+
+        panel.querySelector('#closeWorkoutDetail').addEventListener('click', () => {
+            panel.style.display = 'none';
+            document.querySelectorAll('.workout-row.selected').forEach(r => r.classList.remove('selected'));
+        });
+        panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Build a small table for the detail panel
+     * @param {Array<string>} headers - Column headers
+     * @param {Array<Array>} rows - Cell values (already escaped)
+     * @returns {string} HTML
+     */
+    renderDetailTable(headers, rows) {
+        return `
+            <div class="table-wrapper">
+                <table class="data-table detail-table">
+                    <thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+                    <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Update stats, chart and list of the ECG viewer
+     */
+    updateECGView() {
+        const { start, end } = this.currentDateRange;
+        this.filteredECGs = this.parser.electrocardiograms.filter(ecg => ecg.date >= start && ecg.date <= end);
+
+        // Statistics
+        const heartRates = this.filteredECGs.filter(ecg => ecg.averageHeartRate).map(ecg => ecg.averageHeartRate);
+        const sinus = this.filteredECGs.filter(ecg => this.ecgAnalyzer.isSinusRhythm(ecg.classification)).length;
+        document.getElementById('totalRecords').textContent = this.filteredECGs.length.toLocaleString();
+        this.setStatLabels('Nhịp tim trung bình', 'Nhịp xoang', 'Phân loại khác');
+        document.getElementById('avgValue').textContent = heartRates.length > 0 ?
+            `${(heartRates.reduce((a, b) => a + b, 0) / heartRates.length).toFixed(0)} BPM` : '-';
+        document.getElementById('maxValue').textContent = sinus.toLocaleString();
+        document.getElementById('minValue').textContent = (this.filteredECGs.length - sinus).toLocaleString();
+
+        // Chart: heart rate of the recordings per period
+        const points = this.filteredECGs
+            .filter(ecg => ecg.averageHeartRate)
+            .map(ecg => ({ startDate: ecg.date, value: ecg.averageHeartRate }));
+        this.chart.render(this.parser.aggregateByPeriod(points, this.getBucketSize()), 'Nhịp tim khi đo ECG', 'BPM', 'line');
+
+        // Chronological list
+        const tbody = document.getElementById('ecgTableBody');
+        tbody.innerHTML = '';
+        document.getElementById('ecgViewer').style.display = 'none';
+
+        if (this.filteredECGs.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="text-center">Không có điện tâm đồ nào</td></tr>';
+            return;
+        }
+
+        this.filteredECGs.forEach(ecg => {
+            const row = document.createElement('tr');
+            row.className = 'workout-row';
+            row.innerHTML = `
+                <td>${this.formatDateTime(ecg.date)}</td>
+                <td>${this.escapeHtml(ecg.classification || '-')}</td>
+                <td>${ecg.averageHeartRate ? `${ecg.averageHeartRate.toFixed(0)} BPM` : '-'}</td>
+                <td>${this.escapeHtml(ecg.device || ecg.lead)}</td>
+            `;
+            row.addEventListener('click', () => {
+                tbody.querySelectorAll('.workout-row').forEach(r => r.classList.remove('selected'));
+                row.classList.add('selected');
+                this.showECG(ecg);
+            });
+            tbody.appendChild(row);
+        });
+    }
 
-        this.chart.render(aggregated, label, unit, 'line');
+    /**
+     * Show one ECG as a paper strip
+     * @param {Object} ecg - ECG recording
+     */
+    showECG(ecg) {
+        const viewer = document.getElementById('ecgViewer');
+        const seconds = ecg.samples.length / ecg.sampleRate;
+
+        document.getElementById('ecgTitle').textContent = ecg.classification || 'Điện tâm đồ';
+        document.getElementById('ecgInfo').textContent = [
+            this.formatDateTime(ecg.date),
+            ecg.averageHeartRate ? `${ecg.averageHeartRate.toFixed(0)} BPM` : null,
+            `${seconds.toFixed(0)} giây, ${ecg.sampleRate} Hz`,
+            ecg.lead,
+            ecg.symptoms ? `Triệu chứng: ${ecg.symptoms}` : null
+        ].filter(Boolean).join(' · ');
+
+        viewer.style.display = 'block';
+
+        if (!this.ecgChart) {
+            this.ecgChart = new HealthDataChart('ecgCanvas');
+        }
+        this.ecgChart.renderECG(ecg);
+        viewer.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
 
     /**
      * Render data table
      */
     renderTable() {
+        const data = this.getTableRecords();
+
+        // Pagination
+        const totalPages = Math.ceil(data.length / this.itemsPerPage);
+        const start = (this.currentPage - 1) * this.itemsPerPage;
+        const end = start + this.itemsPerPage;
+        const pageData = data.slice(start, end);
+
+        // Render table rows
+        const tbody = document.getElementById('tableBody');
+        tbody.innerHTML = '';
+        document.getElementById('recordDetail').style.display = 'none';
+
+        if (pageData.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="text-center">Không có dữ liệu</td></tr>';
+        } else {
+            pageData.forEach(record => {
+                const row = document.createElement('tr');
+                const badges = (this.parser.isUserEntered(record) ? ' <span title="Nhập thủ công">✍️</span>' : '') +
+                    (record.beats && record.beats.length > 0 ? ' <span title="Có nhịp tim từng nhịp">💓</span>' : '') +
+                    (this.anomalies.has(record) ? ' <span title="Giá trị bất thường">⚠️</span>' : '');
+                row.innerHTML = `
+                    <td>${this.formatDateTime(record.startDate)}</td>
+                    <td>${this.formatRecordValue(record)}${badges}</td>
+                    <td>${this.escapeHtml(this.units.formatUnit(record.unit))}</td>
+                    <td>${this.escapeHtml(record.sourceName)}</td>
+                `;
+
+                if (this.anomalies.has(record)) {
+                    row.classList.add('anomaly');
+                }
+
+                // Records with metadata or beats open a detail panel
+                if (Object.keys(record.metadata || {}).length > 0 || record.beats) {
+                    row.classList.add('record-row');
+                    row.addEventListener('click', () => {
+                        tbody.querySelectorAll('.record-row').forEach(r => r.classList.remove('selected'));
+                        row.classList.add('selected');
+                        this.showRecordDetail(record);
+                    });
+                }
+                tbody.appendChild(row);
+            });
+        }
+
+        // Render pagination
+        this.renderPagination(totalPages);
+    }
+
+    /**
+     * Records of the table, after its metadata filter, search and sort
+     * @returns {Array} Records
+     */
+    getTableRecords() {
         let data = [...this.filteredData];
 
+        // Apply metadata filter
+        if (this.metadataFilter) {
+            data = data.filter(record => this.matchesMetadataFilter(record, this.metadataFilter));
+        }
+
         // Apply search filter
         if (this.searchTerm) {
             data = data.filter(record => {
-                const searchStr = `${record.value} ${record.unit} ${record.sourceName}`.toLowerCase();
+                const categoryName = record.kind === 'category' ? this.parser.getCategoryValueName(record.categoryValue) : '';
+                const searchStr = `${record.value} ${categoryName} ${record.unit} ${record.sourceName}`.toLowerCase();
                 return searchStr.includes(this.searchTerm);
             });
         }
@@ -482,33 +3210,186 @@ class HealthDataApp {
             }
         });
 
-        // Pagination
-        const totalPages = Math.ceil(data.length / this.itemsPerPage);
-        const start = (this.currentPage - 1) * this.itemsPerPage;
-        const end = start + this.itemsPerPage;
-        const pageData = data.slice(start, end);
+        return data;
+    }
 
-        // Render table rows
-        const tbody = document.getElementById('tableBody');
-        tbody.innerHTML = '';
+    /**
+     * Export the records of the table or the buckets of the chart
+     * @param {string} kind - 'records' (with the filter, search and sort of the table) or 'buckets'
+     * @param {string} format - Key of EXPORT_FORMATS
+     */
+    exportData(kind, format) {
+        const { start, end } = this.currentDateRange;
+        const range = [this.parser.getPeriodKey(start, 'day'), this.parser.getPeriodKey(end, 'day')];
+        let blob;
+        let name;
 
-        if (pageData.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="4" class="text-center">Không có dữ liệu</td></tr>';
-        } else {
-            pageData.forEach(record => {
-                const row = document.createElement('tr');
-                row.innerHTML = `
-                    <td>${this.formatDateTime(record.startDate)}</td>
-                    <td>${record.value !== null ? record.value.toFixed(2) : '-'}</td>
-                    <td>${record.unit}</td>
-                    <td>${record.sourceName}</td>
-                `;
-                tbody.appendChild(row);
+        try {
+            if (kind === 'records') {
+                const rows = this.getTableRecords().map(record => this.exporter.recordToRow(record, format === 'json'));
+                blob = this.exporter.createFile(rows, EXPORT_RECORD_COLUMNS, format);
+                name = this.exporter.getFileName(this.currentDataType, ...range);
+            } else {
+                const period = this.getBucketSize();
+                const unit = this.filteredData[0]?.unit || '';
+                const rows = this.parser.aggregateByPeriod(this.filteredData, period)
+                    .map(bucket => this.exporter.bucketToRow(bucket, unit));
+                blob = this.exporter.createFile(rows, EXPORT_BUCKET_COLUMNS, format);
+                name = this.exporter.getFileName(this.currentDataType, period, ...range);
+            }
+        } catch (error) {
+            console.error('Export error:', error);
+            alert('Lỗi khi xuất dữ liệu: ' + error.message);
+            return;
+        }
+
+        this.exporter.download(blob, `${name}.${format}`);
+    }
+
+    /**
+     * Export every record as a ZIP with one CSV per data type, in the selected units
+     */
+    async exportAll() {
+        const button = document.getElementById('exportAllBtn');
+        const label = button.textContent;
+        button.disabled = true;
+
+        try {
+            const blob = await this.exporter.createArchive(this.parser.getDataTypes(),
+                (type) => this.units.toSystem(this.parser.filterData(type), this.unitSystem),
+                (fraction, message) => {
+                    button.textContent = message;
+                });
+            this.exporter.download(blob, `${this.exporter.getFileName('apple-health', this.unitSystem)}.zip`);
+        } catch (error) {
+            console.error('Export error:', error);
+            alert('Lỗi khi xuất dữ liệu: ' + error.message);
+        } finally {
+            button.disabled = false;
+            button.textContent = label;
+        }
+    }
+
+    /**
+     * Fill the metadata filter with the options available in the filtered data
+     */
+    updateMetadataFilter() {
+        const select = document.getElementById('metadataFilter');
+        const options = [['', 'Tất cả bản ghi']];
+
+        // Distinct values per key; keys with many values (identifiers) are not useful filters
+        const values = new Map();
+        let userEntered = 0;
+        this.filteredData.forEach(record => {
+            if (this.parser.isUserEntered(record)) userEntered++;
+            Object.entries(record.metadata || {}).forEach(([key, value]) => {
+                if (key === 'HKWasUserEntered') return;
+                if (!values.has(key)) values.set(key, new Set());
+                values.get(key).add(value);
+            });
+        });
+
+        if (userEntered > 0) {
+            options.push(['measured', 'Bỏ qua giá trị nhập tay']);
+            options.push(['user-entered', 'Chỉ giá trị nhập tay']);
+        }
+        values.forEach((keyValues, key) => {
+            if (keyValues.size > 10) return;
+            Array.from(keyValues).sort().forEach(value => {
+                options.push([`${key}=${value}`,
+                    `${this.parser.getMetadataName(key)}: ${this.parser.getMetadataValueName(key, value)}`]);
             });
+        });
+
+        if (!options.some(([value]) => value === this.metadataFilter)) {
+            this.metadataFilter = '';
         }
 
-        // Render pagination
-        this.renderPagination(totalPages);
+        select.innerHTML = '';
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = this.metadataFilter;
+        select.style.display = options.length > 1 ? '' : 'none';
+    }
+
+    /**
+     * Check a record against the metadata filter
+     * @param {Object} record - Health record
+     * @param {string} filter - 'measured', 'user-entered' or 'key=value'
+     * @returns {boolean}
+     */
+    matchesMetadataFilter(record, filter) {
+        switch (filter) {
+            case 'measured':
+                return !this.parser.isUserEntered(record);
+            case 'user-entered':
+                return this.parser.isUserEntered(record);
+            default: {
+                const separator = filter.indexOf('=');
+                const key = filter.slice(0, separator);
+                return (record.metadata || {})[key] === filter.slice(separator + 1);
+            }
+        }
+    }
+
+    /**
+     * Show the metadata and beat-to-beat heart rate of a record
+     * @param {Object} record - Health record
+     */
+    showRecordDetail(record) {
+        const panel = document.getElementById('recordDetail');
+        const metadata = Object.entries(record.metadata || {});
+
+        let html = `
+            <div class="workout-detail-header">
+                <div>
+                    <h3>${this.parser.getFriendlyName(record.type)}: ${this.formatRecordValue(record)} ${this.escapeHtml(this.units.formatUnit(record.unit))}</h3>
+                    <p>${this.formatDateTime(record.startDate)} - ${this.formatDateTime(record.endDate)} · ${this.escapeHtml(record.sourceName)}</p>
+                </div>
+                <button class="btn btn-secondary btn-small" id="closeRecordDetail">✕ Đóng</button>
+            </div>
+        `;
+
+        if (metadata.length > 0) {
+            html += `
+                <h4>Thông tin bổ sung</h4>
+                ${this.renderDetailTable(['Khóa', 'Giá trị'], metadata.map(([key, value]) => [
+                    this.escapeHtml(this.parser.getMetadataName(key)),
+                    this.escapeHtml(this.parser.getMetadataValueName(key, value))
+                ]))}
+            `;
+        }
+
+        const beats = record.beats || [];
+        if (beats.length > 0) {
+            html += `
+                <h4>Nhịp tim từng nhịp (${beats.length} nhịp)</h4>
+                <div class="route-profile"><canvas id="beatChart"></canvas></div>
+            `;
+        }
+
+        if (this.beatChart) {
+            this.beatChart.destroy();
+            this.beatChart = null;
+        }
+
+        panel.innerHTML = html;
+        panel.style.display = 'block';
+
+        if (beats.length > 0) {
+            this.beatChart = new HealthDataChart('beatChart');
+            this.beatChart.renderBeats(beats);
+        }
+
+        panel.querySelector('#closeRecordDetail').addEventListener('click', () => {
+            panel.style.display = 'none';
+            document.querySelectorAll('.record-row.selected').forEach(r => r.classList.remove('selected'));
+        });
+        panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
 
     /**
@@ -582,17 +3463,120 @@ class HealthDataApp {
         return `${day}/${month}/${year} ${hours}:${minutes}`;
     }
 
+    /**
+     * Format the value cell of a record
+     * @param {Object} record - Health record
+     * @returns {string} Formatted value
+     */
+    formatRecordValue(record) {
+        if (record.kind === 'bloodPressure') {
+            return `${Math.round(record.value)}/${Math.round(record.diastolic)}`;
+        }
+
+        if (record.kind === 'category') {
+            return `${this.parser.getCategoryValueName(record.categoryValue)}: ${record.value.toFixed(0)}`;
+        }
+
+        return record.value !== null ? record.value.toFixed(2) : '-';
+    }
+
+    /**
+     * Format a duration in minutes
+     * @param {number} minutes - Duration in minutes
+     * @returns {string} e.g. "7 giờ 32 phút"
+     */
+    formatDuration(minutes) {
+        const total = Math.round(minutes);
+        const hours = Math.floor(total / 60);
+        const mins = total % 60;
+
+        if (hours === 0) return `${mins} phút`;
+        return mins > 0 ? `${hours} giờ ${mins} phút` : `${hours} giờ`;
+    }
+
+    /**
+     * Format minutes since midnight as a clock time
+     * @param {number} minutes - Minutes since midnight
+     * @returns {string} HH:MM
+     */
+    formatClock(minutes) {
+        const total = Math.round(minutes) % (24 * 60);
+        return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format a pace in minutes per distance unit
+     * @param {number} minutes - Minutes per unit
+     * @returns {string} m:ss
+     */
+    formatPace(minutes) {
+        const seconds = Math.round(minutes * 60);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format the slope of a trend line, per week for short buckets and per month for long ones
+     * @param {number} slope - Change per day
+     * @param {string} unit - Unit label
+     * @param {string} period - Bucket size of the chart
+     * @returns {string} e.g. "−0.30 kg/tháng"
+     */
+    formatSlope(slope, unit, period) {
+        const per = period === 'day' || period === 'week' ? 'week' : 'month';
+        const value = this.trendAnalyzer.getSlope(slope, per);
+        const sign = value < 0 ? '−' : '+';
+        return `${sign}${Math.abs(value).toFixed(2)}${unit ? ` ${unit}` : ''}/${per === 'week' ? 'tuần' : 'tháng'}`;
+    }
+
+    /**
+     * Format totals kept per unit, e.g. { km: 12.3, mi: 2 }
+     * @param {Object} totals - unit -> sum
+     * @returns {string} Formatted totals
+     */
+    formatUnitTotals(totals) {
+        // Totals in units of the same dimension add up once shown in the display unit
+        const merged = {};
+        Object.entries(totals).forEach(([unit, sum]) => {
+            const displayUnit = this.units.getDisplayUnit('', unit, this.unitSystem);
+            merged[displayUnit] = (merged[displayUnit] || 0) + this.units.convert(sum, unit, displayUnit);
+        });
+
+        const entries = Object.entries(merged).filter(([, sum]) => sum > 0);
+        if (entries.length === 0) return '-';
+        return entries.map(([unit, sum]) => `${sum.toFixed(sum >= 100 ? 0 : 2)} ${this.units.formatUnit(unit)}`).join(' + ');
+    }
+
+    /**
+     * Format a quantity in the display unit of the selected unit system
+     * @param {number} value - Value
+     * @param {string} unit - Unit of the value
+     * @param {number} digits - Decimal places
+     * @returns {string} Formatted value with unit
+     */
+    formatQuantity(value, unit, digits = 2) {
+        const displayUnit = this.units.getDisplayUnit('', unit, this.unitSystem);
+        return `${this.units.convert(value, unit, displayUnit).toFixed(digits)} ${this.units.formatUnit(displayUnit)}`;
+    }
+
+    /**
+     * Escape text for use in HTML
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     /**
      * Reset filters
      */
     resetFilters() {
-        this.currentPeriod = 'week';
         this.setDateRange('week');
-        this.datePicker.clear();
-
-        document.querySelectorAll('[data-range]').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.range === 'week');
-        });
+        this.overlayTypes = [];
 
         this.updateView();
     }
@@ -605,11 +3589,26 @@ class HealthDataApp {
         this.parser = new HealthDataParser();
         this.currentDataType = null;
         this.filteredData = [];
+        this.filteredWorkouts = [];
+        this.workoutTypeFilter = '';
+        this.filteredECGs = [];
+        this.metadataFilter = '';
+        this.sources = [];
+        this.currentDataset = null;
+        this.reportCharts.forEach(chart => chart.destroy());
+        this.reportCharts = [];
 
         // Reset UI
         document.getElementById('mainContent').style.display = 'none';
         document.getElementById('uploadSection').style.display = 'block';
         document.getElementById('fileInput').value = '';
+        document.getElementById('sourcesSection').style.display = 'none';
+        document.getElementById('datasetsSection').style.display = 'none';
+        document.getElementById('reportSection').style.display = 'none';
+        document.getElementById('reportView').style.display = 'none';
+        document.getElementById('reportPrintBtn').disabled = true;
+        this.showProgress(false);
+        this.renderStoredDatasets();
 
         // Reset filters
         this.resetFilters();
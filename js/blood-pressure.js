@@ -0,0 +1,93 @@
+/**
+ * Blood pressure analysis for Apple Health data
+ * Classifies paired systolic/diastolic readings and summarizes them
+ */
+
+// Categories of the 2017 ACC/AHA guideline, from lowest to highest
+const BP_CATEGORIES = [
+    { key: 'normal', label: 'Bình thường', color: '#34C759' },
+    { key: 'elevated', label: 'Tăng nhẹ', color: '#FFCC00' },
+    { key: 'stage1', label: 'Tăng huyết áp độ 1', color: '#FF9500' },
+    { key: 'stage2', label: 'Tăng huyết áp độ 2', color: '#FF3B30' },
+    { key: 'crisis', label: 'Cơn tăng huyết áp', color: '#A2181F' }
+];
+
+// Hours of the day counted as morning and evening readings [from, to)
+const BP_MORNING_HOURS = [4, 12];
+const BP_EVENING_HOURS = [17, 24];
+
+class BloodPressureAnalyzer {
+    /**
+     * Category of a reading
+     * The higher of the systolic and diastolic categories wins
+     * @param {number} systolic - Systolic pressure (mmHg)
+     * @param {number} diastolic - Diastolic pressure (mmHg)
+     * @returns {string} Key of BP_CATEGORIES
+     */
+    classify(systolic, diastolic) {
+        if (systolic > 180 || diastolic > 120) return 'crisis';
+        if (systolic >= 140 || diastolic >= 90) return 'stage2';
+        if (systolic >= 130 || diastolic >= 80) return 'stage1';
+        if (systolic >= 120) return 'elevated';
+        return 'normal';
+    }
+
+    /**
+     * Category description
+     * @param {string} key - Key of BP_CATEGORIES
+     * @returns {Object} { key, label, color }
+     */
+    getCategory(key) {
+        return BP_CATEGORIES.find(category => category.key === key) || BP_CATEGORIES[0];
+    }
+
+    /**
+     * Summarize a set of readings
+     * @param {Array} readings - Blood pressure records (value is systolic, diastolic is kept alongside)
+     * @param {function} getHour - Hour of the day a reading was taken (default: local time)
+     * @returns {Object} Averages, highest and lowest readings, counts per category and
+     *     morning / evening averages (null without readings)
+     */
+    summarize(readings, getHour = (reading) => reading.startDate.getHours()) {
+        const categories = {};
+        BP_CATEGORIES.forEach(category => {
+            categories[category.key] = 0;
+        });
+        readings.forEach(reading => {
+            categories[this.classify(reading.value, reading.diastolic)]++;
+        });
+
+        const inHours = (hours) => readings.filter(reading => {
+            const hour = getHour(reading);
+            return hour >= hours[0] && hour < hours[1];
+        });
+
+        const byPressure = (a, b) => a.value - b.value || a.diastolic - b.diastolic;
+        const sorted = readings.slice().sort(byPressure);
+
+        return {
+            count: readings.length,
+            average: this.average(readings),
+            highest: sorted[sorted.length - 1] || null,
+            lowest: sorted[0] || null,
+            categories: categories,
+            morning: this.average(inHours(BP_MORNING_HOURS)),
+            evening: this.average(inHours(BP_EVENING_HOURS))
+        };
+    }
+
+    /**
+     * Average systolic and diastolic pressure
+     * @param {Array} readings - Blood pressure records
+     * @returns {Object|null} { count, systolic, diastolic } or null without readings
+     */
+    average(readings) {
+        if (readings.length === 0) return null;
+
+        return {
+            count: readings.length,
+            systolic: readings.reduce((total, reading) => total + reading.value, 0) / readings.length,
+            diastolic: readings.reduce((total, reading) => total + reading.diastolic, 0) / readings.length
+        };
+    }
+}
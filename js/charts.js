@@ -3,6 +3,9 @@
  * Uses Chart.js for rendering
  */
 
+// Colors for additional series when the data type color is already taken
+const SERIES_COLORS = ['#007AFF', '#FF3B30', '#34C759', '#FF9500', '#5856D6', '#AF52DE', '#5AC8FA', '#FF2D55'];
+
 class HealthDataChart {
     constructor(canvasId) {
         this.canvas = document.getElementById(canvasId);
@@ -16,12 +19,18 @@ class HealthDataChart {
      * @param {string} label - Chart label
      * @param {string} unit - Data unit
      * @param {string} chartType - Chart type (line, bar)
+     * @param {string} valueField - Aggregate to plot, a key of AGGREGATIONS
+     * @param {Object} comparison - { label, data } of a prior period to overlay; its buckets
+     *     are matched to data by position (first with first, second with second, ...)
+     * @param {Array} trends - [{ label, color, values, dash }] lines drawn over the data, one value per bucket
      */
-    render(data, label = 'Dữ liệu sức khỏe', unit = '', chartType = 'line') {
+    render(data, label = 'Dữ liệu sức khỏe', unit = '', chartType = 'line', valueField = 'avg', comparison = null, trends = []) {
         // Destroy existing chart
         if (this.chart) {
             this.chart.destroy();
         }
+        this.buckets = data || [];
+        this.highlighted = new Set();
 
         if (!data || data.length === 0) {
             this.renderEmpty();
@@ -30,30 +39,73 @@ class HealthDataChart {
 
         // Prepare data
         const labels = data.map(item => this.formatDateLabel(item.date));
-        const values = data.map(item => item.avg);
+        const values = data.map(item => item[valueField]);
+        const valueLabel = AGGREGATIONS[valueField] || valueField;
 
         // Determine chart color based on data type
         const color = this.getColorForDataType(label);
+        const formatField = (dataPoint) => this.formatValue(dataPoint[valueField], valueField === 'count' ? '' : unit);
+
+        const datasets = [{
+            label: `${label} - ${valueLabel.toLowerCase()} ${unit && valueField !== 'count' ? `(${unit})` : ''}`,
+            data: values,
+            backgroundColor: this.hexToRgba(color, 0.2),
+            borderColor: color,
+            borderWidth: 2,
+            fill: chartType === 'line',
+            tension: 0.4,
+            pointRadius: 4,
+            pointHoverRadius: 6,
+            pointBackgroundColor: color,
+            pointBorderColor: '#fff',
+            pointBorderWidth: 2,
+            spanGaps: true
+        }];
+
+        if (comparison) {
+            const comparisonColor = '#8E8E93';
+            datasets.push({
+                role: 'comparison',
+                label: comparison.label,
+                data: data.map((item, index) => comparison.data[index] ? comparison.data[index][valueField] : null),
+                backgroundColor: this.hexToRgba(comparisonColor, 0.3),
+                borderColor: comparisonColor,
+                borderWidth: 2,
+                borderDash: [6, 4],
+                fill: false,
+                tension: 0.4,
+                pointRadius: 3,
+                pointHoverRadius: 5,
+                pointBackgroundColor: comparisonColor,
+                spanGaps: true
+            });
+        }
+
+        // Trend lines are always lines, drawn over bars too
+        trends.forEach(trend => {
+            datasets.push({
+                role: 'trend',
+                type: 'line',
+                label: trend.label,
+                data: trend.values,
+                borderColor: trend.color,
+                backgroundColor: trend.color,
+                borderWidth: 2,
+                fill: false,
+                tension: 0.3,
+                borderDash: trend.dash || [],
+                pointRadius: 0,
+                pointHoverRadius: 3,
+                spanGaps: true
+            });
+        });
 
         // Create chart
         this.chart = new Chart(this.canvas, {
             type: chartType,
             data: {
                 labels: labels,
-                datasets: [{
-                    label: `${label} ${unit ? `(${unit})` : ''}`,
-                    data: values,
-                    backgroundColor: this.hexToRgba(color, 0.2),
-                    borderColor: color,
-                    borderWidth: 2,
-                    fill: chartType === 'line',
-                    tension: 0.4,
-                    pointRadius: 4,
-                    pointHoverRadius: 6,
-                    pointBackgroundColor: color,
-                    pointBorderColor: '#fff',
-                    pointBorderWidth: 2
-                }]
+                datasets: datasets
             },
             options: {
                 responsive: true,
@@ -90,13 +142,38 @@ class HealthDataChart {
                         displayColors: true,
                         callbacks: {
                             label: (context) => {
-                                const value = context.parsed.y;
+                                if (context.dataset.role === 'trend') {
+                                    return `${context.dataset.label}: ${this.formatValue(context.raw, valueField === 'count' ? '' : unit)}`;
+                                }
+
+                                if (context.dataset.role === 'comparison') {
+                                    const previous = comparison.data[context.dataIndex];
+                                    if (!previous) return `${comparison.label}: không có dữ liệu`;
+                                    const value = previous[valueField] !== null ? formatField(previous) : 'không có dữ liệu';
+                                    return `${comparison.label} (${this.formatDateLabel(previous.date)}): ${value}`;
+                                }
+
                                 const dataPoint = data[context.dataIndex];
-                                return [
-                                    `Trung bình: ${this.formatValue(value, unit)}`,
-                                    `Tổng: ${this.formatValue(dataPoint.sum, unit)}`,
-                                    `Số lượng: ${dataPoint.count}`
-                                ];
+                                // The charted aggregate first, then the others for context
+                                const fields = [valueField].concat(['sum', 'avg', 'min', 'max'].filter(f => f !== valueField));
+                                const lines = fields
+                                    .filter(field => field !== 'count' && dataPoint[field] !== null && dataPoint[field] !== undefined)
+                                    .map(field => `${AGGREGATIONS[field]}: ${this.formatValue(dataPoint[field], unit)}`)
+                                    .concat(`Số lượng: ${dataPoint.count}`);
+
+                                if (this.highlighted.has(dataPoint.date)) {
+                                    lines.push('⚠️ Có giá trị bất thường');
+                                }
+
+                                const previous = comparison && comparison.data[context.dataIndex];
+                                if (previous && previous[valueField] !== null && dataPoint[valueField] !== null) {
+                                    const delta = dataPoint[valueField] - previous[valueField];
+                                    const sign = delta > 0 ? '+' : delta < 0 ? '-' : '±';
+                                    const percent = previous[valueField] !== 0 ?
+                                        ` (${sign}${Math.abs(delta / previous[valueField] * 100).toFixed(1)}%)` : '';
+                                    lines.push(`Chênh lệch: ${sign}${this.formatValue(Math.abs(delta), valueField === 'count' ? '' : unit)}${percent}`);
+                                }
+                                return lines;
                             }
                         }
                     }
@@ -123,7 +200,7 @@ class HealthDataChart {
                             font: {
                                 size: 12
                             },
-                            callback: (value) => this.formatValue(value, unit)
+                            callback: (value) => this.formatValue(value, valueField === 'count' ? '' : unit)
                         }
                     }
                 }
@@ -133,6 +210,765 @@ class HealthDataChart {
         this.currentType = chartType;
     }
 
+    /**
+     * Draw several metrics on one chart
+     * Series sharing a unit share a y axis; axes alternate between the left and right side.
+     * Clicking a legend entry shows or hides its series
+     * @param {Array} series - [{ label, unit, data, valueField, chartType }] where data holds the
+     *     buckets of HealthDataParser.fillPeriods over the same range, so they line up
+     */
+    renderSeries(series) {
+        if (this.chart) {
+            this.chart.destroy();
+        }
+        this.buckets = series && series.length > 0 ? series[0].data : [];
+        this.highlighted = new Set();
+
+        if (!series || series.length === 0 || series.every(item => item.data.every(bucket => bucket.count === 0))) {
+            this.renderEmpty();
+            return;
+        }
+
+        const labels = series[0].data.map(item => this.formatDateLabel(item.date));
+        const axisUnits = [];
+        const usedColors = new Set();
+
+        const datasets = series.map(item => {
+            const unit = item.valueField === 'count' ? '' : item.unit;
+            if (!axisUnits.includes(unit)) axisUnits.push(unit);
+
+            let color = this.getColorForDataType(item.label);
+            if (usedColors.has(color)) {
+                color = SERIES_COLORS.find(candidate => !usedColors.has(candidate)) || color;
+            }
+            usedColors.add(color);
+
+            return {
+                type: item.chartType,
+                label: `${item.label} - ${(AGGREGATIONS[item.valueField] || item.valueField).toLowerCase()}${unit ? ` (${unit})` : ''}`,
+                data: item.data.map(bucket => bucket[item.valueField]),
+                yAxisID: `y${axisUnits.indexOf(unit)}`,
+                backgroundColor: this.hexToRgba(color, item.chartType === 'bar' ? 0.6 : 0.2),
+                borderColor: color,
+                borderWidth: 2,
+                fill: false,
+                tension: 0.4,
+                pointRadius: 3,
+                pointHoverRadius: 5,
+                pointBackgroundColor: color,
+                spanGaps: true,
+                // Lines are drawn over bars
+                order: item.chartType === 'bar' ? 1 : 0,
+                unit: unit
+            };
+        });
+
+        const scales = {
+            x: {
+                grid: {
+                    display: false
+                },
+                ticks: {
+                    font: {
+                        size: 12
+                    },
+                    maxRotation: 45,
+                    minRotation: 0
+                }
+            }
+        };
+        axisUnits.forEach((unit, index) => {
+            scales[`y${index}`] = {
+                position: index % 2 === 0 ? 'left' : 'right',
+                beginAtZero: true,
+                title: {
+                    display: unit !== '',
+                    text: unit
+                },
+                grid: {
+                    // Only the first axis draws grid lines
+                    drawOnChartArea: index === 0,
+                    color: 'rgba(0, 0, 0, 0.05)'
+                },
+                ticks: {
+                    font: {
+                        size: 12
+                    },
+                    callback: (value) => this.formatValue(value, '')
+                }
+            };
+        });
+
+        this.chart = new Chart(this.canvas, {
+            type: 'bar',
+            data: {
+                labels: labels,
+                datasets: datasets
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: {
+                            font: {
+                                size: 14,
+                                weight: '600'
+                            },
+                            padding: 15,
+                            usePointStyle: true
+                        },
+                        onClick: (event, legendItem, legend) => {
+                            Chart.defaults.plugins.legend.onClick.call(legend, event, legendItem, legend);
+
+                            // Hide the axes left without a visible series
+                            const chart = legend.chart;
+                            axisUnits.forEach((unit, index) => {
+                                chart.options.scales[`y${index}`].display = chart.data.datasets.some((dataset, datasetIndex) =>
+                                    dataset.yAxisID === `y${index}` && chart.isDatasetVisible(datasetIndex));
+                            });
+                            chart.update();
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        padding: 12,
+                        titleFont: {
+                            size: 14,
+                            weight: 'bold'
+                        },
+                        bodyFont: {
+                            size: 13
+                        },
+                        displayColors: true,
+                        callbacks: {
+                            label: (context) => `${series[context.datasetIndex].label}: ${this.formatValue(context.raw, context.dataset.unit)}`,
+                            afterBody: (items) => items.length > 0 && this.highlighted.has(this.buckets[items[0].dataIndex].date) ?
+                                '⚠️ Có giá trị bất thường' : ''
+                        }
+                    }
+                },
+                scales: scales
+            }
+        });
+
+        this.currentType = 'bar';
+    }
+
+    /**
+     * Scatter plot of two metrics with their regression line
+     * @param {Array} pairs - [{ xDate, yDate, x, y }] from CorrelationAnalyzer.align
+     * @param {Object} result - Result of CorrelationAnalyzer.analyze
+     * @param {Object} xAxis - { label, unit } of x
+     * @param {Object} yAxis - { label, unit } of y
+     */
+    renderScatter(pairs, result, xAxis, yAxis) {
+        this.destroy();
+
+        if (!pairs || pairs.length === 0) {
+            this.renderEmpty();
+            return;
+        }
+
+        const color = '#007AFF';
+        const datasets = [{
+            type: 'scatter',
+            label: `${yAxis.label} theo ${xAxis.label}`,
+            data: pairs,
+            parsing: false,
+            backgroundColor: this.hexToRgba(color, 0.5),
+            borderColor: color,
+            pointRadius: 4,
+            pointHoverRadius: 6
+        }];
+
+        if (result.slope !== null) {
+            const xs = pairs.map(pair => pair.x);
+            const minX = xs.reduce((a, b) => Math.min(a, b));
+            const maxX = xs.reduce((a, b) => Math.max(a, b));
+            datasets.push({
+                type: 'line',
+                label: 'Đường hồi quy',
+                data: [minX, maxX].map(x => ({ x: x, y: result.slope * x + result.intercept })),
+                parsing: false,
+                borderColor: '#FF3B30',
+                borderWidth: 2,
+                pointRadius: 0,
+                fill: false
+            });
+        }
+
+        const axis = (info) => ({
+            type: 'linear',
+            title: {
+                display: true,
+                text: info.unit ? `${info.label} (${info.unit})` : info.label
+            },
+            grid: {
+                color: 'rgba(0, 0, 0, 0.05)'
+            },
+            ticks: {
+                callback: (value) => this.formatValue(value, '')
+            }
+        });
+
+        this.chart = new Chart(this.canvas, {
+            type: 'scatter',
+            data: {
+                datasets: datasets
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    tooltip: {
+                        filter: (item) => item.datasetIndex === 0,
+                        callbacks: {
+                            title: (items) => {
+                                const pair = items[0].raw;
+                                return pair.xDate === pair.yDate ?
+                                    this.formatDateLabel(pair.xDate) :
+                                    `${this.formatDateLabel(pair.xDate)} → ${this.formatDateLabel(pair.yDate)}`;
+                            },
+                            label: (context) => [
+                                `${xAxis.label}: ${this.formatValue(context.raw.x, xAxis.unit)}`,
+                                `${yAxis.label}: ${this.formatValue(context.raw.y, yAxis.unit)}`
+                            ]
+                        }
+                    }
+                },
+                scales: {
+                    x: axis(xAxis),
+                    y: axis(yAxis)
+                }
+            }
+        });
+
+        this.currentType = 'scatter';
+    }
+
+    /**
+     * Render blood pressure readings as bars from diastolic to systolic, colored by category
+     * @param {Array} readings - Blood pressure records, oldest first
+     * @param {BloodPressureAnalyzer} analyzer - Classifies the readings
+     */
+    renderBloodPressure(readings, analyzer) {
+        this.destroy();
+
+        if (!readings || readings.length === 0) {
+            this.renderEmpty();
+            return;
+        }
+
+        const pad = (number) => String(number).padStart(2, '0');
+        const labels = readings.map(reading => {
+            const date = reading.startDate;
+            return `${date.getDate()}/${date.getMonth() + 1} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        });
+        const categories = readings.map(reading => analyzer.getCategory(analyzer.classify(reading.value, reading.diastolic)));
+
+        this.chart = new Chart(this.canvas, {
+            type: 'bar',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: 'Huyết áp (mmHg)',
+                    data: readings.map(reading => [reading.diastolic, reading.value]),
+                    backgroundColor: categories.map(category => category.color),
+                    borderRadius: 4,
+                    borderSkipped: false,
+                    maxBarThickness: 16
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: {
+                            usePointStyle: true,
+                            // One entry per category instead of the single dataset
+                            generateLabels: () => BP_CATEGORIES.map(category => ({
+                                text: category.label,
+                                fillStyle: category.color,
+                                strokeStyle: category.color,
+                                pointStyle: 'circle',
+                                hidden: false
+                            }))
+                        },
+                        onClick: () => {}
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const reading = readings[context.dataIndex];
+                                return `${Math.round(reading.value)}/${Math.round(reading.diastolic)} mmHg · ${categories[context.dataIndex].label}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        grid: {
+                            display: false
+                        },
+                        ticks: {
+                            maxRotation: 45,
+                            minRotation: 0
+                        }
+                    },
+                    y: {
+                        suggestedMin: 50,
+                        suggestedMax: 160,
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.05)'
+                        },
+                        ticks: {
+                            callback: (value) => `${value} mmHg`
+                        }
+                    }
+                }
+            }
+        });
+
+        this.currentType = 'bar';
+    }
+
+    /**
+     * Render a hypnogram-style timeline of sleep stages, one row per night
+     * @param {Array} nights - Nights from SleepAnalyzer.groupNights
+     */
+    renderSleepStages(nights) {
+        if (this.chart) {
+            this.chart.destroy();
+        }
+
+        if (!nights || nights.length === 0) {
+            this.renderEmpty();
+            return;
+        }
+
+        const stages = [
+            { key: 'inBed', label: 'Trên giường', color: '#D1D1D6' },
+            { key: 'awake', label: 'Thức giấc', color: '#FF9500' },
+            { key: 'rem', label: 'REM', color: '#5AC8FA' },
+            { key: 'core', label: 'Ngủ lõi', color: '#007AFF' },
+            { key: 'deep', label: 'Ngủ sâu', color: '#5856D6' },
+            { key: 'asleep', label: 'Đang ngủ', color: '#AF52DE' }
+        ];
+
+        const labels = nights.map(night => this.formatDateLabel(night.date));
+
+        // Hours since 18:00 of the evening before the wake-up date
+        const toHours = (time, night) => {
+            const evening = new Date(`${night.date}T00:00:00`);
+            evening.setHours(-6);
+            return (time - evening) / 3600000;
+        };
+
+        const datasets = stages.map(stage => ({
+            label: stage.label,
+            data: [],
+            backgroundColor: stage.color,
+            borderRadius: 2,
+            grouped: false,
+            barPercentage: stage.key === 'inBed' ? 0.9 : 0.6
+        }));
+
+        nights.forEach((night, index) => {
+            night.segments.forEach(segment => {
+                const datasetIndex = stages.findIndex(stage => stage.key === segment.stage);
+                if (datasetIndex === -1) return;
+                datasets[datasetIndex].data.push({
+                    y: labels[index],
+                    x: [toHours(segment.start, night), toHours(segment.end, night)],
+                    start: segment.start,
+                    end: segment.end
+                });
+            });
+        });
+
+        const formatTime = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+        this.chart = new Chart(this.canvas, {
+            type: 'bar',
+            data: {
+                labels: labels,
+                datasets: datasets.filter(dataset => dataset.data.length > 0)
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: {
+                            font: {
+                                size: 14,
+                                weight: '600'
+                            },
+                            padding: 15,
+                            usePointStyle: true
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                        padding: 12,
+                        callbacks: {
+                            label: (context) => {
+                                const point = context.raw;
+                                const minutes = Math.round((point.end - point.start) / 60000);
+                                return `${context.dataset.label}: ${formatTime(point.start)} - ${formatTime(point.end)} (${minutes} phút)`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        min: 0,
+                        max: 20,
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.05)'
+                        },
+                        ticks: {
+                            stepSize: 2,
+                            font: {
+                                size: 12
+                            },
+                            callback: (value) => `${String((18 + value) % 24).padStart(2, '0')}:00`
+                        }
+                    },
+                    y: {
+                        grid: {
+                            display: false
+                        },
+                        ticks: {
+                            font: {
+                                size: 12
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        this.currentType = 'bar';
+    }
+
+    /**
+     * Draw a route as a projected path, colored by speed, without map tiles
+     * @param {Object} track - Track from RouteAnalyzer.parseGPX
+     * @param {RouteAnalyzer} analyzer - Used for per-point speeds
+     */
+    renderRoute(track, analyzer) {
+        this.destroy();
+
+        const canvas = this.canvas;
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        if (!track || track.count < 2) return;
+
+        // Equirectangular projection around the route's mean latitude
+        let meanLat = 0;
+        for (let i = 0; i < track.count; i++) meanLat += track.lat[i];
+        const scaleX = Math.cos(meanLat / track.count * Math.PI / 180);
+
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (let i = 0; i < track.count; i++) {
+            const x = track.lon[i] * scaleX;
+            const y = track.lat[i];
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+        }
+
+        const padding = 20;
+        const scale = Math.min(
+            (width - padding * 2) / Math.max(maxX - minX, 1e-9),
+            (height - padding * 2) / Math.max(maxY - minY, 1e-9)
+        );
+        const offsetX = (width - (maxX - minX) * scale) / 2;
+        const offsetY = (height - (maxY - minY) * scale) / 2;
+        const project = (i) => [
+            offsetX + (track.lon[i] * scaleX - minX) * scale,
+            height - offsetY - (track.lat[i] - minY) * scale
+        ];
+
+        // Color segments from slow (red) to fast (green)
+        let maxSpeed = 0;
+        for (let i = 1; i < track.count; i++) {
+            const speed = analyzer.getSpeed(track, i);
+            if (speed > maxSpeed) maxSpeed = speed;
+        }
+
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        for (let i = 1; i < track.count; i++) {
+            const [x1, y1] = project(i - 1);
+            const [x2, y2] = project(i);
+            const speed = analyzer.getSpeed(track, i);
+            const hue = maxSpeed > 0 && !isNaN(speed) ? Math.min(speed / maxSpeed, 1) * 120 : 210;
+            ctx.strokeStyle = `hsl(${hue}, 80%, 45%)`;
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
+        }
+
+        // Start and finish markers
+        const drawMarker = (i, color) => {
+            const [x, y] = project(i);
+            ctx.beginPath();
+            ctx.arc(x, y, 6, 0, Math.PI * 2);
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = '#fff';
+            ctx.stroke();
+        };
+        drawMarker(0, '#34C759');
+        drawMarker(track.count - 1, '#FF3B30');
+    }
+
+    /**
+     * Render a profile (e.g. elevation or speed) against distance
+     * @param {Array} points - [{ x: distance, y: value }]
+     * @param {string} label - Series label
+     * @param {string} unit - Value unit
+     * @param {string} color - Hex color
+     * @param {string} distanceUnit - Unit of the distances (km or mi)
+     */
+    renderProfile(points, label, unit, color, distanceUnit = 'km') {
+        this.destroy();
+
+        if (!points || points.length === 0) {
+            this.renderEmpty();
+            return;
+        }
+
+        this.chart = new Chart(this.canvas, {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: `${label} (${unit})`,
+                    data: points,
+                    borderColor: color,
+                    backgroundColor: this.hexToRgba(color, 0.2),
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.2,
+                    pointRadius: 0
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: (items) => `${items[0].parsed.x.toFixed(2)} ${distanceUnit}`,
+                            label: (context) => `${label}: ${context.parsed.y.toFixed(1)} ${unit}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        grid: {
+                            display: false
+                        },
+                        ticks: {
+                            callback: (value) => `${value} ${distanceUnit}`
+                        }
+                    },
+                    y: {
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.05)'
+                        }
+                    }
+                }
+            }
+        });
+
+        this.currentType = 'line';
+    }
+
+    /**
+     * Render the beat-to-beat heart rate of an HRV sample
+     * @param {Array} beats - [{ time, bpm }] from HealthDataParser.readBeats
+     */
+    renderBeats(beats) {
+        this.destroy();
+
+        if (!beats || beats.length === 0) {
+            this.renderEmpty();
+            return;
+        }
+
+        const first = beats[0].time.getTime();
+        const points = beats.map(beat => ({ x: (beat.time - first) / 1000, y: beat.bpm }));
+
+        this.chart = new Chart(this.canvas, {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: 'Nhịp tim (BPM)',
+                    data: points,
+                    borderColor: '#FF2D55',
+                    backgroundColor: this.hexToRgba('#FF2D55', 0.2),
+                    borderWidth: 2,
+                    tension: 0.2,
+                    pointRadius: 3
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: (items) => `${items[0].parsed.x.toFixed(2)} giây`,
+                            label: (context) => `Nhịp tim: ${context.parsed.y.toFixed(0)} BPM`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        grid: {
+                            display: false
+                        },
+                        ticks: {
+                            callback: (value) => `${value}s`
+                        }
+                    },
+                    y: {
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.05)'
+                        }
+                    }
+                }
+            }
+        });
+
+        this.currentType = 'line';
+    }
+
+    /**
+     * Draw an ECG as a paper-style strip: 25 mm/s, 10 mm/mV, 10 seconds per row
+     * @param {Object} ecg - Recording from ECGAnalyzer.parseCSV
+     */
+    renderECG(ecg) {
+        this.destroy();
+
+        const secondsPerRow = 10;
+        const rowMm = 30;
+        const canvas = this.canvas;
+        const width = canvas.clientWidth;
+        const pxPerMm = width / (secondsPerRow * 25);
+
+        const samples = ecg.samples;
+        const rows = Math.max(1, Math.ceil(samples.length / ecg.sampleRate / secondsPerRow));
+        const height = Math.round(rows * rowMm * pxPerMm);
+
+        const ratio = window.devicePixelRatio || 1;
+        canvas.style.height = `${height}px`;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.fillStyle = '#FFF8F7';
+        ctx.fillRect(0, 0, width, height);
+
+        // Grid: 1 mm minor and 5 mm major squares
+        for (let mm = 0; mm * pxPerMm <= width; mm++) {
+            ctx.strokeStyle = mm % 5 === 0 ? 'rgba(255, 59, 48, 0.35)' : 'rgba(255, 59, 48, 0.12)';
+            ctx.lineWidth = mm % 5 === 0 ? 1 : 0.5;
+            ctx.beginPath();
+            ctx.moveTo(mm * pxPerMm, 0);
+            ctx.lineTo(mm * pxPerMm, height);
+            ctx.stroke();
+        }
+        for (let mm = 0; mm * pxPerMm <= height; mm++) {
+            ctx.strokeStyle = mm % 5 === 0 ? 'rgba(255, 59, 48, 0.35)' : 'rgba(255, 59, 48, 0.12)';
+            ctx.lineWidth = mm % 5 === 0 ? 1 : 0.5;
+            ctx.beginPath();
+            ctx.moveTo(0, mm * pxPerMm);
+            ctx.lineTo(width, mm * pxPerMm);
+            ctx.stroke();
+        }
+
+        // Center the trace on its median
+        const sorted = Float32Array.from(samples).sort();
+        const baseline = sorted[Math.floor(sorted.length / 2)] || 0;
+        const samplesPerRow = ecg.sampleRate * secondsPerRow;
+        const unitScale = ecg.unit === 'mV' ? 1 : 1 / 1000;
+
+        ctx.strokeStyle = '#1C1C1E';
+        ctx.lineWidth = 1.2;
+        ctx.lineJoin = 'round';
+
+        for (let row = 0; row < rows; row++) {
+            const center = (row + 0.5) * rowMm * pxPerMm;
+            const first = row * samplesPerRow;
+            const last = Math.min(samples.length, first + samplesPerRow);
+
+            ctx.beginPath();
+            for (let i = first; i < last; i++) {
+                const x = (i - first) / ecg.sampleRate * 25 * pxPerMm;
+                const y = center - (samples[i] - baseline) * unitScale * 10 * pxPerMm;
+                if (i === first) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            ctx.stroke();
+
+            ctx.fillStyle = '#6E6E73';
+            ctx.font = '11px -apple-system, sans-serif';
+            ctx.fillText(`${row * secondsPerRow}s`, 4, row * rowMm * pxPerMm + 12);
+        }
+
+        ctx.fillText('25 mm/s, 10 mm/mV', width - 110, height - 6);
+    }
+
     /**
      * Render empty state
      */
@@ -165,19 +1001,17 @@ class HealthDataChart {
      * @returns {string} Formatted date
      */
     formatDateLabel(dateStr) {
-        const date = new Date(dateStr);
-        const now = new Date();
-        const diffTime = now - date;
-        const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
+        // Keys are calendar dates, read them field by field rather than as UTC instants
+        const [year, month, day] = dateStr.split('-').map(part => parseInt(part, 10));
 
         // If date is YYYY-MM-DD format
         if (dateStr.match(/^\d{4}-\d{2}-\d{2}$/)) {
-            return `${date.getDate()}/${date.getMonth() + 1}`;
+            return `${day}/${month}`;
         }
 
         // If date is YYYY-MM format (month)
         if (dateStr.match(/^\d{4}-\d{2}$/)) {
-            return `Tháng ${date.getMonth() + 1}/${date.getFullYear()}`;
+            return `Tháng ${month}/${year}`;
         }
 
         // If date is YYYY format (year)
@@ -264,6 +1098,55 @@ class HealthDataChart {
         }
     }
 
+    /**
+     * Mark buckets of the first series drawn by render or renderSeries, e.g. the ones holding anomalies
+     * @param {Array<string>} dates - Dates of the buckets to mark
+     * @param {string} color - Marker color
+     */
+    highlight(dates, color = '#FF3B30') {
+        this.highlighted = new Set(dates);
+        if (!this.chart || this.highlighted.size === 0) return;
+
+        const dataset = this.chart.data.datasets[0];
+        const marked = this.buckets.map(bucket => this.highlighted.has(bucket.date));
+        if ((dataset.type || this.currentType) === 'bar') {
+            const background = dataset.backgroundColor;
+            dataset.backgroundColor = marked.map(mark => mark ? this.hexToRgba(color, 0.6) : background);
+        } else {
+            // Unmarked points keep their look, marked ones grow
+            const point = dataset.pointBackgroundColor;
+            const radius = dataset.pointRadius;
+            dataset.pointBackgroundColor = marked.map(mark => mark ? color : point);
+            dataset.pointRadius = marked.map(mark => mark ? Math.max(radius, 4) + 3 : radius);
+        }
+        this.chart.update();
+    }
+
+    /**
+     * PNG image of the chart on a white background
+     * @returns {Promise<Blob>} PNG file
+     */
+    toImage() {
+        const image = document.createElement('canvas');
+        image.width = this.canvas.width;
+        image.height = this.canvas.height;
+
+        const context = image.getContext('2d');
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, image.width, image.height);
+        context.drawImage(this.canvas, 0, 0);
+
+        return new Promise((resolve, reject) => {
+            image.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Không tạo được ảnh biểu đồ'));
+                }
+            }, 'image/png');
+        });
+    }
+
     /**
      * Destroy chart
      */
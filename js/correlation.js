@@ -0,0 +1,173 @@
+/**
+ * Correlation between two Apple Health metrics
+ * Pairs the per-period values of two data types and measures how they move together
+ */
+
+// Largest lag offered, in periods
+const CORRELATION_MAX_LAG = 30;
+
+class CorrelationAnalyzer {
+    /**
+     * Pair the buckets of two metrics
+     * The value of y is taken `lag` periods after the value of x, so a lag of 1 day
+     * relates a day of x to the next day of y
+     * @param {Array} xBuckets - Buckets from HealthDataParser.aggregateByPeriod
+     * @param {Array} yBuckets - Buckets from HealthDataParser.aggregateByPeriod
+     * @param {string} xField - Aggregate of x, a key of AGGREGATIONS
+     * @param {string} yField - Aggregate of y, a key of AGGREGATIONS
+     * @param {string} period - 'day' or 'week'
+     * @param {number} lag - Periods between x and y
+     * @returns {Array} [{ xDate, yDate, x, y }] for the periods where both have data
+     */
+    align(xBuckets, yBuckets, xField, yField, period = 'day', lag = 0) {
+        const yByDate = new Map(yBuckets.map(bucket => [bucket.date, bucket]));
+        const pairs = [];
+
+        xBuckets.forEach(bucket => {
+            if (bucket.count === 0 || bucket[xField] === null) return;
+
+            const yDate = this.shiftKey(bucket.date, period, lag);
+            const yBucket = yByDate.get(yDate);
+            if (!yBucket || yBucket.count === 0 || yBucket[yField] === null) return;
+
+            pairs.push({ xDate: bucket.date, yDate: yDate, x: bucket[xField], y: yBucket[yField] });
+        });
+
+        return pairs;
+    }
+
+    /**
+     * Move a day or week key by a number of periods
+     * @param {string} key - YYYY-MM-DD
+     * @param {string} period - 'day' or 'week'
+     * @param {number} count - Periods to move, negative to go back
+     * @returns {string} YYYY-MM-DD
+     */
+    shiftKey(key, period, count) {
+        if (count === 0) return key;
+
+        const [year, month, day] = key.split('-').map(part => parseInt(part, 10));
+        const date = new Date(Date.UTC(year, month - 1, day + count * (period === 'week' ? 7 : 1)));
+        return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Correlation coefficients and least-squares line of paired values
+     * @param {Array} pairs - Pairs from align
+     * @returns {Object} { count, pearson, spearman, slope, intercept } (null when undefined)
+     */
+    analyze(pairs) {
+        const xs = pairs.map(pair => pair.x);
+        const ys = pairs.map(pair => pair.y);
+        const line = this.regression(xs, ys);
+
+        return {
+            count: pairs.length,
+            pearson: this.pearson(xs, ys),
+            spearman: this.spearman(xs, ys),
+            slope: line ? line.slope : null,
+            intercept: line ? line.intercept : null
+        };
+    }
+
+    /**
+     * Pearson correlation coefficient
+     * @param {Array<number>} xs - Values of x
+     * @param {Array<number>} ys - Values of y
+     * @returns {number|null} -1 to 1, or null with fewer than 3 pairs or a constant series
+     */
+    pearson(xs, ys) {
+        const n = xs.length;
+        if (n < 3) return null;
+
+        const meanX = xs.reduce((a, b) => a + b, 0) / n;
+        const meanY = ys.reduce((a, b) => a + b, 0) / n;
+        let covariance = 0;
+        let varianceX = 0;
+        let varianceY = 0;
+
+        for (let i = 0; i < n; i++) {
+            const dx = xs[i] - meanX;
+            const dy = ys[i] - meanY;
+            covariance += dx * dy;
+            varianceX += dx * dx;
+            varianceY += dy * dy;
+        }
+
+        if (varianceX === 0 || varianceY === 0) return null;
+        return covariance / Math.sqrt(varianceX * varianceY);
+    }
+
+    /**
+     * Spearman rank correlation coefficient (Pearson of the ranks)
+     * @param {Array<number>} xs - Values of x
+     * @param {Array<number>} ys - Values of y
+     * @returns {number|null} -1 to 1, or null when undefined
+     */
+    spearman(xs, ys) {
+        return this.pearson(this.rank(xs), this.rank(ys));
+    }
+
+    /**
+     * Ranks of values, ties getting the average of their ranks
+     * @param {Array<number>} values - Values
+     * @returns {Array<number>} 1-based ranks in the order of values
+     */
+    rank(values) {
+        const order = values.map((value, index) => index).sort((a, b) => values[a] - values[b]);
+        const ranks = new Array(values.length);
+
+        for (let i = 0; i < order.length;) {
+            let j = i;
+            while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+
+            const rank = (i + j) / 2 + 1;
+            for (let k = i; k <= j; k++) ranks[order[k]] = rank;
+            i = j + 1;
+        }
+
+        return ranks;
+    }
+
+    /**
+     * Least-squares regression line y = slope * x + intercept
+     * @param {Array<number>} xs - Values of x
+     * @param {Array<number>} ys - Values of y
+     * @returns {Object|null} { slope, intercept }, or null when x is constant
+     */
+    regression(xs, ys) {
+        const n = xs.length;
+        if (n < 2) return null;
+
+        const meanX = xs.reduce((a, b) => a + b, 0) / n;
+        const meanY = ys.reduce((a, b) => a + b, 0) / n;
+        let covariance = 0;
+        let varianceX = 0;
+
+        for (let i = 0; i < n; i++) {
+            covariance += (xs[i] - meanX) * (ys[i] - meanY);
+            varianceX += (xs[i] - meanX) ** 2;
+        }
+
+        if (varianceX === 0) return null;
+
+        const slope = covariance / varianceX;
+        return { slope: slope, intercept: meanY - slope * meanX };
+    }
+
+    /**
+     * Describe the strength of a correlation coefficient
+     * @param {number|null} r - Coefficient
+     * @returns {string} Vietnamese description
+     */
+    describe(r) {
+        if (r === null) return 'không xác định';
+
+        const strength = Math.abs(r);
+        const direction = r > 0 ? 'thuận' : 'nghịch';
+        if (strength < 0.1) return 'gần như không có';
+        if (strength < 0.3) return `yếu, ${direction}`;
+        if (strength < 0.5) return `vừa, ${direction}`;
+        return `mạnh, ${direction}`;
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * Electrocardiograms for Apple Health data
+ * Parses electrocardiograms/ecg_*.csv files recorded by Apple Watch
+ */
+
+// Pseudo data type used by the type selector for the ECG viewer
+const ECG_VIEW = '__ecg';
+
+class ECGAnalyzer {
+    /**
+     * Parse an ECG CSV file
+     * The header is "key,value" lines (labels depend on the phone's language),
+     * followed by a blank line and one microvolt sample per line
+     * @param {string} text - CSV content
+     * @param {string} fileName - Name of the file in the ZIP
+     * @returns {Object|null} ECG recording or null if it has no samples
+     */
+    parseCSV(text, fileName = '') {
+        const lines = text.split(/\r?\n/);
+        const header = {};
+        const samples = [];
+        let inSamples = false;
+
+        for (const rawLine of lines) {
+            const line = rawLine.trim();
+
+            if (!inSamples) {
+                if (line === '') {
+                    // Blank line separates header and samples
+                    if (Object.keys(header).length > 0) inSamples = true;
+                    continue;
+                }
+
+                const comma = line.indexOf(',');
+                if (comma === -1) {
+                    // Header without a blank separator
+                    if (this.parseSample(line) !== null) {
+                        inSamples = true;
+                    } else {
+                        continue;
+                    }
+                } else {
+                    header[line.slice(0, comma).trim()] = line.slice(comma + 1).trim().replace(/^"|"$/g, '');
+                    continue;
+                }
+            }
+
+            const sample = this.parseSample(line);
+            if (sample !== null) samples.push(sample);
+        }
+
+        if (samples.length === 0) return null;
+
+        const ecg = {
+            fileName: fileName,
+            date: this.findDate(header, fileName),
+            classification: this.findValue(header, /classification|phân loại/i) || '',
+            symptoms: this.findValue(header, /symptoms|triệu chứng/i) || '',
+            sampleRate: parseFloat(this.findValue(header, /sample rate|tần số/i)) || 512,
+            lead: this.findValue(header, /^lead|^đạo trình/i) || 'Lead I',
+            unit: this.findValue(header, /^unit|^đơn vị/i) || 'µV',
+            device: this.findValue(header, /device|thiết bị/i) || '',
+            averageHeartRate: parseFloat(this.findValue(header, /heart rate|nhịp tim/i)) || null,
+            header: header,
+            samples: Float32Array.from(samples)
+        };
+
+        if (ecg.averageHeartRate === null) {
+            ecg.averageHeartRate = this.estimateHeartRate(ecg);
+        }
+
+        return ecg;
+    }
+
+    /**
+     * Parse one sample line
+     * @param {string} line - e.g. "-12.345" or "-12,345"
+     * @returns {number|null} Microvolts
+     */
+    parseSample(line) {
+        const text = line.replace(/"/g, '');
+        if (!/^-?[\d.,]+$/.test(text)) return null;
+
+        const value = parseFloat(text.includes('.') ? text.replace(/,/g, '') : text.replace(',', '.'));
+        return isNaN(value) ? null : value;
+    }
+
+    /**
+     * Value of the first header key matching a pattern
+     * @param {Object} header - Header map
+     * @param {RegExp} pattern - Key pattern
+     * @returns {string|null}
+     */
+    findValue(header, pattern) {
+        const key = Object.keys(header).find(k => pattern.test(k));
+        return key ? header[key] : null;
+    }
+
+    /**
+     * Recording date from the header, falling back to the file name (ecg_2023-05-01.csv)
+     * @param {Object} header - Header map
+     * @param {string} fileName - File name
+     * @returns {Date|null}
+     */
+    findDate(header, fileName) {
+        const value = Object.values(header).find(v => /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}/.test(v));
+        if (value) return new Date(value);
+
+        const match = /(\d{4}-\d{2}-\d{2})(?:[_ ](\d+))?/.exec(fileName);
+        return match ? new Date(`${match[1]}T00:00:00`) : null;
+    }
+
+    /**
+     * Estimate the average heart rate from R peaks
+     * @param {Object} ecg - ECG recording
+     * @returns {number|null} Beats per minute
+     */
+    estimateHeartRate(ecg) {
+        const peaks = this.findRPeaks(ecg);
+        if (peaks.length < 2) return null;
+
+        const seconds = (peaks[peaks.length - 1] - peaks[0]) / ecg.sampleRate;
+        return seconds > 0 ? (peaks.length - 1) / seconds * 60 : null;
+    }
+
+    /**
+     * Locate R peaks with a simple threshold and refractory period
+     * @param {Object} ecg - ECG recording
+     * @returns {Array<number>} Sample indexes
+     */
+    findRPeaks(ecg) {
+        const samples = ecg.samples;
+        const n = samples.length;
+        if (n === 0) return [];
+
+        // Remove the baseline with the median
+        const sorted = Float32Array.from(samples).sort();
+        const baseline = sorted[Math.floor(n / 2)];
+
+        let max = 0;
+        for (let i = 0; i < n; i++) {
+            const value = Math.abs(samples[i] - baseline);
+            if (value > max) max = value;
+        }
+
+        const threshold = max * 0.5;
+        const refractory = Math.round(ecg.sampleRate * 0.25);
+        const peaks = [];
+
+        for (let i = 1; i < n - 1; i++) {
+            const value = Math.abs(samples[i] - baseline);
+            if (value < threshold) continue;
+            if (value < Math.abs(samples[i - 1] - baseline) || value < Math.abs(samples[i + 1] - baseline)) continue;
+
+            const last = peaks[peaks.length - 1];
+            if (last !== undefined && i - last < refractory) {
+                if (value > Math.abs(samples[last] - baseline)) peaks[peaks.length - 1] = i;
+                continue;
+            }
+            peaks.push(i);
+        }
+
+        return peaks;
+    }
+
+    /**
+     * Whether a classification means sinus rhythm
+     * @param {string} classification - Classification text
+     * @returns {boolean}
+     */
+    isSinusRhythm(classification) {
+        return /sinus|xoang/i.test(classification) && !/fibrillation|rung nhĩ/i.test(classification);
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * Export of Apple Health data
+ * Turns records and aggregated buckets into CSV or JSON files and downloads them
+ */
+
+// Columns of exported records
+const EXPORT_RECORD_COLUMNS = ['type', 'startDate', 'endDate', 'value', 'unit', 'categoryValue', 'diastolic',
+    'sourceName', 'sourceVersion', 'device'];
+
+// Columns of exported buckets
+const EXPORT_BUCKET_COLUMNS = ['period', 'count', 'sum', 'avg', 'min', 'max', 'unit'];
+
+// MIME types of the export formats; the BOM lets Excel read CSV files as UTF-8
+const EXPORT_FORMATS = {
+    csv: { mime: 'text/csv;charset=utf-8', prefix: '\uFEFF' },
+    json: { mime: 'application/json;charset=utf-8', prefix: '' }
+};
+
+class HealthDataExporter {
+    /**
+     * ISO 8601 timestamp, with the offset the sample was recorded with when known
+     * @param {Date} date - Date
+     * @param {number|null} utcOffset - Offset in minutes, null for UTC
+     * @returns {string} e.g. 2024-03-01T07:30:00+07:00
+     */
+    formatTimestamp(date, utcOffset = null) {
+        if (utcOffset === null || utcOffset === undefined) return date.toISOString();
+
+        const local = new Date(date.getTime() + utcOffset * 60000).toISOString().slice(0, 19);
+        const sign = utcOffset < 0 ? '-' : '+';
+        const minutes = Math.abs(utcOffset);
+        return `${local}${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Flat row of a record
+     * @param {Object} record - Parsed record
+     * @param {boolean} withMetadata - Keep the metadata object (JSON only)
+     * @returns {Object} Row keyed by EXPORT_RECORD_COLUMNS
+     */
+    recordToRow(record, withMetadata = false) {
+        const row = {
+            type: record.type,
+            startDate: this.formatTimestamp(record.startDate, record.utcOffset),
+            endDate: this.formatTimestamp(record.endDate, record.utcOffset),
+            value: record.value,
+            unit: record.unit,
+            categoryValue: record.categoryValue || '',
+            diastolic: record.diastolic !== undefined ? record.diastolic : '',
+            sourceName: record.sourceName,
+            sourceVersion: record.sourceVersion || '',
+            device: record.device || ''
+        };
+
+        if (withMetadata && Object.keys(record.metadata || {}).length > 0) {
+            row.metadata = record.metadata;
+        }
+        return row;
+    }
+
+    /**
+     * Flat row of an aggregated bucket
+     * @param {Object} bucket - Bucket from HealthDataParser.aggregateByPeriod
+     * @param {string} unit - Unit of the values
+     * @returns {Object} Row keyed by EXPORT_BUCKET_COLUMNS
+     */
+    bucketToRow(bucket, unit) {
+        return {
+            period: bucket.date,
+            count: bucket.count,
+            sum: bucket.sum,
+            avg: bucket.avg,
+            min: bucket.min,
+            max: bucket.max,
+            unit: unit
+        };
+    }
+
+    /**
+     * CSV text of rows (RFC 4180)
+     * @param {Array<Object>} rows - Rows
+     * @param {Array<string>} columns - Columns, in order
+     * @returns {string} CSV with a header line
+     */
+    toCSV(rows, columns) {
+        const lines = [columns.join(',')];
+        rows.forEach(row => {
+            lines.push(columns.map(column => this.escapeCSV(row[column])).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV field when needed
+     * @param {*} value - Field value
+     * @returns {string} Field text
+     */
+    escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * File of rows in an export format
+     * @param {Array<Object>} rows - Rows
+     * @param {Array<string>} columns - Columns of the CSV
+     * @param {string} format - Key of EXPORT_FORMATS
+     * @returns {Blob} File content
+     */
+    createFile(rows, columns, format) {
+        const spec = EXPORT_FORMATS[format];
+        if (!spec) {
+            throw new Error(`Định dạng xuất không được hỗ trợ: ${format}`);
+        }
+
+        const text = format === 'csv' ? this.toCSV(rows, columns) : JSON.stringify(rows, null, 2);
+        return new Blob([spec.prefix + text], { type: spec.mime });
+    }
+
+    /**
+     * ZIP archive with one CSV of records per data type
+     * @param {Array<string>} types - Data types
+     * @param {function} getRecords - Records of a data type
+     * @param {function} progressCallback - Called with (fraction, message)
+     * @returns {Promise<Blob>} ZIP file
+     */
+    async createArchive(types, getRecords, progressCallback = null) {
+        const zip = new JSZip();
+
+        types.forEach(type => {
+            const rows = getRecords(type).map(record => this.recordToRow(record));
+            zip.file(`${this.getFileName(type)}.csv`, EXPORT_FORMATS.csv.prefix + this.toCSV(rows, EXPORT_RECORD_COLUMNS));
+        });
+
+        return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' }, (metadata) => {
+            if (progressCallback) {
+                progressCallback(metadata.percent / 100, `Đang nén ${metadata.percent.toFixed(0)}%...`);
+            }
+        });
+    }
+
+    /**
+     * File name without characters that are not allowed in file names
+     * @param {...string} parts - Name parts, joined with underscores
+     * @returns {string} File name without extension
+     */
+    getFileName(...parts) {
+        return parts
+            .filter(part => part)
+            .map(part => String(part).replace(/^HK(Quantity|Category|Correlation)TypeIdentifier/, ''))
+            .join('_')
+            .replace(/[^\w.-]+/g, '-');
+    }
+
+    /**
+     * Let the browser save a file
+     * @param {Blob} blob - File content
+     * @param {string} fileName - File name with extension
+     */
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoke once the download has started
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Daily goals for Apple Health metrics
+ * Checks each day against a goal and derives streaks and completion rates
+ */
+
+// Goals suggested for common data types, in their canonical unit (sleep in minutes asleep)
+const GOAL_SUGGESTIONS = {
+    'HKQuantityTypeIdentifierStepCount': 10000,
+    'HKQuantityTypeIdentifierAppleExerciseTime': 30,
+    'HKQuantityTypeIdentifierActiveEnergyBurned': 500,
+    'HKCategoryTypeIdentifierSleepAnalysis': 480
+};
+
+// Ways a day can meet its goal
+const GOAL_DIRECTIONS = {
+    atLeast: 'Ít nhất',
+    atMost: 'Không quá'
+};
+
+class GoalTracker {
+    constructor() {
+        this.trends = new TrendAnalyzer();
+    }
+
+    /**
+     * Whether a daily value meets a goal
+     * @param {number} value - Value of the day
+     * @param {Object} goal - { value, direction } with direction a key of GOAL_DIRECTIONS
+     * @returns {boolean}
+     */
+    isMet(value, goal) {
+        return goal.direction === 'atMost' ? value <= goal.value : value >= goal.value;
+    }
+
+    /**
+     * Check the days that have data against a goal
+     * @param {Array} buckets - Day buckets from aggregateByPeriod, oldest first
+     * @param {string} field - Aggregate compared, a key of AGGREGATIONS
+     * @param {Object} goal - { value, direction }
+     * @returns {Array} [{ date, day, value, met }]
+     */
+    evaluate(buckets, field, goal) {
+        return this.trends.getPoints(buckets, field).map(point => ({
+            date: buckets[point.index].date,
+            day: point.day,
+            value: point.value,
+            met: this.isMet(point.value, goal)
+        }));
+    }
+
+    /**
+     * Runs of consecutive days meeting the goal; a day without data ends a run
+     * @param {Array} days - Days from evaluate
+     * @param {string} endKey - Last day counted (YYYY-MM-DD)
+     * @returns {Object} { current, longest, longestStart, longestEnd } where the current streak
+     *     ends on endKey, or the day before while endKey has not met the goal yet
+     */
+    getStreaks(days, endKey) {
+        const endDay = this.trends.getDay(endKey);
+        let longest = { length: 0, start: null, end: null };
+        let run = { length: 0, start: null, day: null };
+
+        days.forEach(day => {
+            if (day.day > endDay) return;
+            if (!day.met) {
+                run = { length: 0, start: null, day: null };
+                return;
+            }
+
+            run = run.day === day.day - 1 ?
+                { length: run.length + 1, start: run.start, day: day.day } :
+                { length: 1, start: day.date, day: day.day };
+            if (run.length > longest.length) {
+                longest = { length: run.length, start: run.start, end: day.date };
+            }
+        });
+
+        // The run still counts when it reaches the last day or the day before
+        const current = run.day !== null && run.day >= endDay - 1 ? run.length : 0;
+        return { current: current, longest: longest.length, longestStart: longest.start, longestEnd: longest.end };
+    }
+
+    /**
+     * Share of days meeting the goal
+     * @param {Array} days - Days from evaluate
+     * @param {function} getPeriodKey - Period of a day key, e.g. its week or month
+     * @returns {Array} [{ period, met, total, rate }] oldest first, rate from 0 to 1
+     */
+    getCompletion(days, getPeriodKey) {
+        const periods = new Map();
+        days.forEach(day => {
+            const key = getPeriodKey(day.date);
+            if (!periods.has(key)) periods.set(key, { period: key, met: 0, total: 0, rate: 0 });
+            const period = periods.get(key);
+            period.total++;
+            if (day.met) period.met++;
+        });
+
+        return Array.from(periods.values())
+            .map(period => Object.assign(period, { rate: period.met / period.total }))
+            .sort((a, b) => a.period.localeCompare(b.period));
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Web Worker that parses export.xml off the main thread
+ * Receives a Blob (or a stream of byte chunks), runs it through HealthExportReader
+ * and posts records and workouts back in batches
+ */
+
+importScripts('xml-stream.js', 'units.js', 'statistics.js', 'parser.js');
+
+let reader = null;
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    switch (message.command) {
+        case 'parse':
+            reader = createReader();
+            try {
+                const summary = await reader.readBlob(message.blob);
+                self.postMessage({ type: 'done', summary: summary });
+            } catch (error) {
+                self.postMessage({ type: 'error', name: error.name, message: error.message });
+            }
+            break;
+        case 'write':
+            // Chunks of a stream forwarded by the page, e.g. decompressed from a ZIP
+            if (!reader) reader = createReader();
+            try {
+                reader.write(message.chunk);
+            } catch (error) {
+                self.postMessage({ type: 'error', name: error.name, message: error.message });
+            }
+            break;
+        case 'end':
+            try {
+                const summary = (reader || createReader()).end();
+                self.postMessage({ type: 'done', summary: summary });
+            } catch (error) {
+                self.postMessage({ type: 'error', name: error.name, message: error.message });
+            }
+            break;
+        case 'cancel':
+            if (reader) reader.cancel();
+            break;
+    }
+};
+
+/**
+ * Create a reader that reports back to the page
+ * @returns {HealthExportReader}
+ */
+function createReader() {
+    return new HealthExportReader(new HealthDataParser(), {
+        onBatch: (batch) => self.postMessage({ type: 'batch', records: batch.records, workouts: batch.workouts }),
+        onProgress: (bytesRead) => self.postMessage({ type: 'progress', bytesRead: bytesRead })
+    });
+}
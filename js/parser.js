@@ -3,163 +3,870 @@
  * Handles parsing of large XML files exported from Apple Health
  */
 
+// Parser worker script, relative to index.html
+const PARSER_WORKER_URL = 'js/parser-worker.js';
+
+// Metrics whose samples add up over a period; all other quantities are averaged
+const CUMULATIVE_TYPES = new Set([
+    'HKQuantityTypeIdentifierStepCount',
+    'HKQuantityTypeIdentifierDistanceWalkingRunning',
+    'HKQuantityTypeIdentifierDistanceCycling',
+    'HKQuantityTypeIdentifierDistanceSwimming',
+    'HKQuantityTypeIdentifierDistanceWheelchair',
+    'HKQuantityTypeIdentifierDistanceDownhillSnowSports',
+    'HKQuantityTypeIdentifierActiveEnergyBurned',
+    'HKQuantityTypeIdentifierBasalEnergyBurned',
+    'HKQuantityTypeIdentifierFlightsClimbed',
+    'HKQuantityTypeIdentifierAppleExerciseTime',
+    'HKQuantityTypeIdentifierAppleStandTime',
+    'HKQuantityTypeIdentifierAppleMoveTime',
+    'HKQuantityTypeIdentifierPushCount',
+    'HKQuantityTypeIdentifierSwimmingStrokeCount',
+    'HKQuantityTypeIdentifierNikeFuel',
+    'HKQuantityTypeIdentifierTimeInDaylight',
+    'HKQuantityTypeIdentifierNumberOfTimesFallen',
+    'HKQuantityTypeIdentifierNumberOfAlcoholicBeverages'
+]);
+
+// Blood pressure readings, pairing a systolic and a diastolic sample
+const BLOOD_PRESSURE_TYPE = 'HKCorrelationTypeIdentifierBloodPressure';
+const SYSTOLIC_TYPE = 'HKQuantityTypeIdentifierBloodPressureSystolic';
+const DIASTOLIC_TYPE = 'HKQuantityTypeIdentifierBloodPressureDiastolic';
+
+// Aggregation functions a period can be summarized with
+const AGGREGATIONS = {
+    sum: 'Tổng',
+    avg: 'Trung bình',
+    min: 'Thấp nhất',
+    max: 'Cao nhất',
+    count: 'Số lượng'
+};
+
+// Category values that add up to a meaningful total, per data type; the first group is the default.
+// Sleep stages lie inside the in-bed interval and idle stand hours are not stand hours, so summing
+// every category value of these types would count the same time twice or count non-events
+const CATEGORY_VALUE_GROUPS = {
+    'HKCategoryTypeIdentifierSleepAnalysis': [
+        {
+            key: 'asleep',
+            label: 'Thời gian ngủ',
+            values: [
+                'HKCategoryValueSleepAnalysisAsleep',
+                'HKCategoryValueSleepAnalysisAsleepUnspecified',
+                'HKCategoryValueSleepAnalysisAsleepCore',
+                'HKCategoryValueSleepAnalysisAsleepDeep',
+                'HKCategoryValueSleepAnalysisAsleepREM'
+            ]
+        },
+        { key: 'inBed', label: 'Thời gian trên giường', values: ['HKCategoryValueSleepAnalysisInBed'] },
+        { key: 'awake', label: 'Thức giấc', values: ['HKCategoryValueSleepAnalysisAwake'] }
+    ],
+    'HKCategoryTypeIdentifierAppleStandHour': [
+        { key: 'stood', label: 'Giờ đã đứng', values: ['HKCategoryValueAppleStandHourStood'] },
+        { key: 'idle', label: 'Giờ không đứng', values: ['HKCategoryValueAppleStandHourIdle'] }
+    ]
+};
+
 class HealthDataParser {
     constructor() {
         this.rawData = [];
+        this.workouts = [];
+        this.electrocardiograms = [];
         this.dataTypes = new Set();
+        this.exportDate = null;
         this.progressCallback = null;
+        this.abortParse = null;
+        this.units = new UnitConverter();
+        this.statistics = new StatisticsCalculator();
+
+        // Bucketing of samples into days, weeks, months and years
+        this.timeZone = 'recorded';
+        this.weekStart = 1;
+        this.zoneFormatter = null;
+        this.zoneOffsets = new Map();
     }
 
     /**
-     * Parse XML content from export.xml
-     * @param {string} xmlContent - XML content as string
+     * Parse export.xml content
+     * The document is streamed in a Web Worker so it never has to be held in memory as one string
+     * @param {Blob|File|ReadableStream|string} source - export.xml file, a stream of its bytes
+     *     (e.g. decompressed from a ZIP entry) or XML content as string
      * @param {function} progressCallback - Callback for progress updates
+     * @param {number} totalBytes - Expected size in bytes, needed for progress on streams
      * @returns {Promise<Array>} Parsed health records
      */
-    async parseXML(xmlContent, progressCallback = null) {
+    async parseXML(source, progressCallback = null, totalBytes = null) {
         this.progressCallback = progressCallback;
         this.rawData = [];
+        this.workouts = [];
+        this.electrocardiograms = [];
         this.dataTypes = new Set();
+        this.exportDate = null;
 
         try {
-            console.log('Bắt đầu parseXML, kích thước:', (xmlContent.length / 1024 / 1024).toFixed(2), 'MB');
+            const input = typeof source === 'string' ? new Blob([source], { type: 'text/xml' }) : source;
+            const size = totalBytes || input.size || 0;
+            console.log('Bắt đầu parseXML, kích thước:', (size / 1024 / 1024).toFixed(2), 'MB');
 
-            if (progressCallback) progressCallback(10, 'Đang phân tích cú pháp XML...');
+            if (progressCallback) progressCallback(5, 'Đang đọc dữ liệu XML...');
 
-            // For large files, we'll use DOMParser with chunking approach
-            const parser = new DOMParser();
-            const xmlDoc = parser.parseFromString(xmlContent, 'text/xml');
-
-            // Check for parsing errors
-            const parserError = xmlDoc.querySelector('parsererror');
-            if (parserError) {
-                console.error('Parser error:', parserError.textContent);
-                throw new Error('Lỗi phân tích XML: ' + parserError.textContent);
-            }
-
-            console.log('XML parsed thành công');
+            const summary = await this.readExport(input, size);
 
             // Check root element
-            const rootElement = xmlDoc.documentElement;
-            console.log('Root element:', rootElement.tagName);
-
-            if (progressCallback) progressCallback(30, 'Đang trích xuất dữ liệu...');
-
-            // Extract all Record elements
-            const records = xmlDoc.querySelectorAll('Record');
-            const totalRecords = records.length;
-
-            console.log(`Tìm thấy ${totalRecords} bản ghi Record`);
-
-            // Process records in batches to avoid blocking UI
-            const batchSize = 1000;
-            let processed = 0;
-
-            for (let i = 0; i < totalRecords; i += batchSize) {
-                const batch = Array.from(records).slice(i, Math.min(i + batchSize, totalRecords));
-
-                batch.forEach(record => {
-                    const dataType = record.getAttribute('type');
-                    const value = record.getAttribute('value');
-                    const unit = record.getAttribute('unit');
-                    const startDate = record.getAttribute('startDate');
-                    const endDate = record.getAttribute('endDate');
-                    const sourceName = record.getAttribute('sourceName');
-                    const sourceVersion = record.getAttribute('sourceVersion');
-                    const device = record.getAttribute('device');
-
-                    // Only add records with valid data
-                    if (dataType && startDate) {
-                        this.rawData.push({
-                            type: dataType,
-                            value: value ? parseFloat(value) : null,
-                            unit: unit || '',
-                            startDate: new Date(startDate),
-                            endDate: endDate ? new Date(endDate) : new Date(startDate),
-                            sourceName: sourceName || 'Unknown',
-                            sourceVersion: sourceVersion || '',
-                            device: device || ''
-                        });
-
-                        this.dataTypes.add(dataType);
-                    }
-                });
-
-                processed += batch.length;
+            console.log('Root element:', summary.rootName);
 
-                // Update progress
-                if (progressCallback) {
-                    const progress = 30 + (processed / totalRecords * 60);
-                    progressCallback(progress, `Đã xử lý ${processed.toLocaleString()} / ${totalRecords.toLocaleString()} bản ghi...`);
-                }
-
-                // Allow UI to update
-                await this.sleep(0);
+            if (!summary.rootName) {
+                throw new Error('File XML trống hoặc không hợp lệ');
             }
-
-            // Also parse Workout data if present
-            const workouts = xmlDoc.querySelectorAll('Workout');
-            if (workouts.length > 0) {
-                console.log(`Tìm thấy ${workouts.length} workouts`);
-                this.parseWorkouts(workouts);
+            if (summary.rootName.toLowerCase() !== 'healthdata') {
+                throw new Error('File không phải là dữ liệu Apple Health hợp lệ');
             }
 
+            this.exportDate = summary.exportDate ? new Date(summary.exportDate) : null;
+
             if (progressCallback) progressCallback(95, 'Đang hoàn thiện...');
 
             // Sort data by date
             this.rawData.sort((a, b) => b.startDate - a.startDate);
+            this.workouts.sort((a, b) => b.startDate - a.startDate);
 
-            console.log(`Phân tích hoàn tất: ${this.rawData.length} bản ghi, ${this.dataTypes.size} loại dữ liệu`);
+            console.log(`Phân tích hoàn tất: ${this.rawData.length} bản ghi, ${this.workouts.length} workouts, ${this.dataTypes.size} loại dữ liệu`);
             console.log('Các loại dữ liệu:', Array.from(this.dataTypes).slice(0, 10).join(', '), '...');
 
             if (progressCallback) progressCallback(100, 'Hoàn tất!');
 
             return this.rawData;
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Đã hủy phân tích XML');
+                throw error;
+            }
             console.error('Lỗi phân tích XML:', error);
             throw new Error(`Không thể phân tích file XML: ${error.message}`);
+        } finally {
+            this.abortParse = null;
+        }
+    }
+
+    /**
+     * Cancel the parse in progress; parseXML rejects with an AbortError
+     */
+    cancel() {
+        if (this.abortParse) {
+            this.abortParse();
         }
     }
 
     /**
-     * Parse workout data
-     * @param {NodeList} workouts - Workout elements
-     */
-    parseWorkouts(workouts) {
-        workouts.forEach(workout => {
-            const workoutType = workout.getAttribute('workoutActivityType');
-            const duration = workout.getAttribute('duration');
-            const durationUnit = workout.getAttribute('durationUnit');
-            const totalDistance = workout.getAttribute('totalDistance');
-            const totalDistanceUnit = workout.getAttribute('totalDistanceUnit');
-            const totalEnergyBurned = workout.getAttribute('totalEnergyBurned');
-            const totalEnergyBurnedUnit = workout.getAttribute('totalEnergyBurnedUnit');
-            const startDate = workout.getAttribute('startDate');
-            const endDate = workout.getAttribute('endDate');
-            const sourceName = workout.getAttribute('sourceName');
-
-            if (workoutType && startDate) {
-                // Add workout as a special data type
-                this.rawData.push({
-                    type: `Workout_${workoutType}`,
-                    value: parseFloat(duration) || 0,
-                    unit: durationUnit || 'min',
-                    startDate: new Date(startDate),
-                    endDate: endDate ? new Date(endDate) : new Date(startDate),
-                    sourceName: sourceName || 'Workout',
-                    sourceVersion: '',
-                    device: '',
-                    metadata: {
-                        totalDistance: totalDistance,
-                        totalDistanceUnit: totalDistanceUnit,
-                        totalEnergyBurned: totalEnergyBurned,
-                        totalEnergyBurnedUnit: totalEnergyBurnedUnit
-                    }
+     * Stream an export through the parser worker, falling back to the page
+     * when workers are unavailable (e.g. when opened from file://)
+     * @param {Blob|ReadableStream} input - export.xml content
+     * @param {number} totalBytes - Size used for progress reporting
+     * @returns {Promise<Object>} Reader summary
+     */
+    readExport(input, totalBytes) {
+        let worker;
+        try {
+            worker = new Worker(PARSER_WORKER_URL);
+        } catch (error) {
+            console.warn('Không thể tạo Web Worker, phân tích trên luồng chính:', error.message);
+            return this.readExportInline(input, totalBytes);
+        }
+
+        return new Promise((resolve, reject) => {
+            let streamReader = null;
+            let settled = false;
+
+            // Chunks posted to the worker but not yet parsed
+            let backlog = 0;
+            let onDrain = null;
+
+            const finish = (error, summary) => {
+                if (settled) return;
+                settled = true;
+                worker.terminate();
+                if (error) {
+                    if (streamReader) streamReader.cancel().catch(() => {});
+                    reject(error);
+                } else {
+                    resolve(summary);
+                }
+            };
+
+            this.abortParse = () => finish(new DOMException('Đã hủy phân tích', 'AbortError'));
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+
+                switch (message.type) {
+                    case 'batch':
+                        this.addRecords(message.records);
+                        this.addWorkouts(message.workouts);
+                        break;
+                    case 'progress':
+                        this.reportBytes(message.bytesRead, totalBytes);
+                        backlog = Math.max(0, backlog - 1);
+                        if (onDrain) onDrain();
+                        break;
+                    case 'done':
+                        finish(null, message.summary);
+                        break;
+                    case 'error':
+                        finish(new Error(message.message));
+                        break;
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish(new Error(event.message || 'Web Worker gặp lỗi'));
+            };
+
+            if (input instanceof Blob) {
+                worker.postMessage({ command: 'parse', blob: input });
+                return;
+            }
+
+            // Forward the stream to the worker in large chunks, waiting while it is busy
+            streamReader = input.getReader();
+            const send = (chunk) => {
+                backlog++;
+                worker.postMessage({ command: 'write', chunk: chunk }, [chunk.buffer]);
+                if (backlog < 3) return Promise.resolve();
+                return new Promise(resume => {
+                    onDrain = () => {
+                        if (backlog < 3 || settled) {
+                            onDrain = null;
+                            resume();
+                        }
+                    };
                 });
+            };
+
+            this.pumpStream(streamReader, send, () => settled)
+                .then(() => {
+                    if (!settled) worker.postMessage({ command: 'end' });
+                })
+                .catch(error => finish(error));
+        });
+    }
+
+    /**
+     * Read a byte stream and pass it on in chunks of about XML_CHUNK_SIZE
+     * @param {ReadableStreamDefaultReader} streamReader - Source reader
+     * @param {function} send - Receives each Uint8Array chunk, may return a Promise to wait on
+     * @param {function} isStopped - Returns true when reading should stop
+     */
+    async pumpStream(streamReader, send, isStopped) {
+        let pending = [];
+        let pendingBytes = 0;
+
+        const flush = async () => {
+            if (pendingBytes === 0) return;
+            const chunk = new Uint8Array(pendingBytes);
+            let offset = 0;
+            for (const part of pending) {
+                chunk.set(part, offset);
+                offset += part.byteLength;
+            }
+            pending = [];
+            pendingBytes = 0;
+            await send(chunk);
+        };
+
+        while (!isStopped()) {
+            const { done, value } = await streamReader.read();
+            if (done) break;
+
+            pending.push(value);
+            pendingBytes += value.byteLength;
+            if (pendingBytes >= XML_CHUNK_SIZE) {
+                await flush();
+            }
+        }
+
+        if (!isStopped()) {
+            await flush();
+        }
+    }
+
+    /**
+     * Stream an export on the main thread
+     * @param {Blob|ReadableStream} input - export.xml content
+     * @param {number} totalBytes - Size used for progress reporting
+     * @returns {Promise<Object>} Reader summary
+     */
+    async readExportInline(input, totalBytes) {
+        const reader = new HealthExportReader(this, {
+            onBatch: (batch) => {
+                this.addRecords(batch.records);
+                this.addWorkouts(batch.workouts);
+            },
+            onProgress: (bytesRead) => this.reportBytes(bytesRead, totalBytes)
+        });
+
+        this.abortParse = () => reader.cancel();
+
+        if (input instanceof Blob) {
+            return reader.readBlob(input, true);
+        }
+
+        const streamReader = input.getReader();
+        try {
+            await this.pumpStream(streamReader, async (chunk) => {
+                reader.write(chunk);
+                await this.sleep(0);
+            }, () => reader.cancelled);
+        } finally {
+            if (reader.cancelled) streamReader.cancel().catch(() => {});
+        }
+
+        if (reader.cancelled) {
+            throw new DOMException('Đã hủy phân tích', 'AbortError');
+        }
+
+        return reader.end();
+    }
+
+    /**
+     * Add a batch of parsed records
+     * @param {Array} records - Records from the reader
+     */
+    addRecords(records) {
+        for (const record of records) {
+            this.rawData.push(record);
+            this.dataTypes.add(record.type);
+        }
+    }
+
+    /**
+     * Add a batch of parsed workouts
+     * @param {Array} workouts - Workouts from the reader
+     */
+    addWorkouts(workouts) {
+        for (const workout of workouts) {
+            this.workouts.push(workout);
+        }
+    }
+
+    /**
+     * Report byte-based progress through the progress callback
+     * @param {number} bytesRead - Bytes consumed so far
+     * @param {number} totalBytes - Total bytes expected
+     */
+    reportBytes(bytesRead, totalBytes) {
+        if (!this.progressCallback) return;
+
+        const readMB = (bytesRead / 1024 / 1024).toFixed(1);
+        const records = this.rawData.length.toLocaleString();
+
+        if (totalBytes > 0) {
+            const totalMB = (totalBytes / 1024 / 1024).toFixed(1);
+            const progress = 5 + Math.min(bytesRead / totalBytes, 1) * 90;
+            this.progressCallback(progress, `Đã đọc ${readMB} / ${totalMB} MB, ${records} bản ghi...`);
+        } else {
+            this.progressCallback(50, `Đã đọc ${readMB} MB, ${records} bản ghi...`);
+        }
+    }
+
+    /**
+     * Build a record from a <Record> element
+     * Quantity records keep their numeric value; category records (sleep, mindful sessions,
+     * stand hours...) keep their enum in categoryValue and are measured by duration in minutes.
+     * MetadataEntry children are kept in metadata and HRV beat lists in beats
+     * @param {Object} node - Element node from HealthXMLStream
+     * @returns {Object|null} Record or null if invalid
+     */
+    buildRecord(node) {
+        const attrs = node.attributes;
+        const dataType = attrs.type;
+
+        // Only add records with valid data
+        if (!dataType || !attrs.startDate) return null;
+
+        const startDate = new Date(attrs.startDate);
+        const endDate = attrs.endDate ? new Date(attrs.endDate) : new Date(attrs.startDate);
+
+        const record = {
+            type: dataType,
+            kind: 'quantity',
+            value: null,
+            unit: attrs.unit || '',
+            startDate: startDate,
+            endDate: endDate,
+            sourceName: attrs.sourceName || 'Unknown',
+            sourceVersion: attrs.sourceVersion || '',
+            device: attrs.device || '',
+            utcOffset: this.parseUtcOffset(attrs.startDate),
+            metadata: node.children.length > 0 ? this.readMetadata(node) : {}
+        };
+
+        // HRV samples list the instantaneous heart rate of every beat
+        const beatList = node.children.find(child => child.name === 'HeartRateVariabilityMetadataList');
+        if (beatList) {
+            record.beats = this.readBeats(beatList, attrs.startDate, startDate);
+        }
+
+        if (this.isCategoryType(dataType)) {
+            record.kind = 'category';
+            record.categoryValue = attrs.value || '';
+            record.value = Math.max(0, endDate - startDate) / 60000;
+            record.unit = 'min';
+        } else if (attrs.value) {
+            const value = parseFloat(attrs.value);
+            record.value = isNaN(value) ? null : value;
+        }
+
+        return this.normalizeRecord(record);
+    }
+
+    /**
+     * Store a quantity record in the canonical unit of its type, so samples recorded
+     * in lb and kg (or mi and km, degF and degC...) can be compared and aggregated
+     * @param {Object} record - Record, modified in place
+     * @returns {Object} The record
+     */
+    normalizeRecord(record) {
+        if (record.kind !== 'quantity' || !record.unit) return record;
+
+        const normalized = this.units.normalize(record.type, record.value, record.unit);
+        record.value = normalized.value;
+        record.unit = normalized.unit;
+        return record;
+    }
+
+    /**
+     * Build a blood pressure reading from a <Correlation> element
+     * The systolic and diastolic samples of one measurement are its Record children;
+     * the systolic pressure is the value and the diastolic one is kept in diastolic
+     * @param {Object} node - Element node from HealthXMLStream
+     * @returns {Object|null} Record or null for other correlations and incomplete readings
+     */
+    buildCorrelation(node) {
+        if (node.attributes.type !== BLOOD_PRESSURE_TYPE) return null;
+
+        const findValue = (type) => {
+            const child = node.children.find(c => c.name === 'Record' && c.attributes.type === type);
+            return child ? parseFloat(child.attributes.value) : NaN;
+        };
+        const systolic = findValue(SYSTOLIC_TYPE);
+        const diastolic = findValue(DIASTOLIC_TYPE);
+        if (isNaN(systolic) || isNaN(diastolic)) return null;
+
+        const record = this.buildRecord({
+            name: node.name,
+            attributes: node.attributes,
+            children: node.children.filter(child => child.name === 'MetadataEntry')
+        });
+        if (!record) return null;
+
+        record.kind = 'bloodPressure';
+        record.value = systolic;
+        record.diastolic = diastolic;
+        record.unit = 'mmHg';
+        return record;
+    }
+
+    /**
+     * Check whether a data type holds category (enum) samples
+     * @param {string} type - Data type identifier
+     * @returns {boolean}
+     */
+    isCategoryType(type) {
+        return typeof type === 'string' && type.startsWith('HKCategoryTypeIdentifier');
+    }
+
+    /**
+     * Category values a category type can be filtered by
+     * Types listed in CATEGORY_VALUE_GROUPS offer their groups, other types every value alone
+     * or all of them together
+     * @param {string} type - Data type identifier
+     * @param {Array<string>} values - Category values found in the data
+     * @returns {Array} [{ key, label, values }] with the default first; values is null for all values
+     */
+    getCategoryFilters(type, values = []) {
+        const groups = CATEGORY_VALUE_GROUPS[type] || [{ key: 'all', label: 'Tất cả', values: null }];
+        const grouped = new Set(groups.filter(group => group.values && group.values.length === 1)
+            .map(group => group.values[0]));
+        const distinct = Array.from(new Set(values)).filter(value => value);
 
-                this.dataTypes.add(`Workout_${workoutType}`);
+        // A single value of an ungrouped type is the same as all of them
+        if (!CATEGORY_VALUE_GROUPS[type] && distinct.length < 2) return groups;
+
+        return groups.concat(distinct
+            .filter(value => !grouped.has(value))
+            .sort()
+            .map(value => ({ key: value, label: this.getCategoryValueName(value), values: [value] })));
+    }
+
+    /**
+     * Keep the category records with one of the given values
+     * @param {Array} records - Records of one category type
+     * @param {Array<string>|null} values - Category values kept, null to keep every record
+     * @returns {Array} Records
+     */
+    filterCategory(records, values) {
+        if (!values) return records;
+
+        const kept = new Set(values);
+        return records.filter(record => kept.has(record.categoryValue));
+    }
+
+    /**
+     * Build a structured workout from a <Workout> element, including its
+     * statistics, events (pauses, laps, segments), activities, metadata and routes
+     * @param {Object} node - Element node from HealthXMLStream
+     * @returns {Object|null} Workout or null if invalid
+     */
+    buildWorkout(node) {
+        const attrs = node.attributes;
+        if (!attrs.workoutActivityType || !attrs.startDate) return null;
+
+        const startDate = new Date(attrs.startDate);
+        const workout = {
+            activityType: attrs.workoutActivityType,
+            duration: this.toMinutes(this.parseNumber(attrs.duration), attrs.durationUnit),
+            startDate: startDate,
+            endDate: attrs.endDate ? new Date(attrs.endDate) : startDate,
+            sourceName: attrs.sourceName || 'Workout',
+            sourceVersion: attrs.sourceVersion || '',
+            device: attrs.device || '',
+            totalDistance: this.parseNumber(attrs.totalDistance),
+            totalDistanceUnit: attrs.totalDistanceUnit || '',
+            totalEnergyBurned: this.parseNumber(attrs.totalEnergyBurned),
+            totalEnergyBurnedUnit: attrs.totalEnergyBurnedUnit || '',
+            statistics: [],
+            events: [],
+            activities: [],
+            metadata: {},
+            routes: []
+        };
+
+        this.readWorkoutChildren(node, workout);
+
+        node.children.forEach(child => {
+            if (child.name === 'WorkoutActivity') {
+                workout.activities.push(this.buildWorkoutActivity(child, workout.activityType));
+            } else if (child.name === 'WorkoutRoute') {
+                const file = child.children.find(c => c.name === 'FileReference');
+                workout.routes.push({
+                    sourceName: child.attributes.sourceName || '',
+                    startDate: child.attributes.startDate ? new Date(child.attributes.startDate) : null,
+                    endDate: child.attributes.endDate ? new Date(child.attributes.endDate) : null,
+                    path: file ? file.attributes.path : null,
+                    metadata: this.readMetadata(child)
+                });
             }
         });
+
+        if (workout.duration === null) {
+            workout.duration = (workout.endDate - workout.startDate) / 60000;
+        }
+
+        // Recent exports only carry totals in WorkoutStatistics
+        if (workout.totalDistance === null) {
+            const distance = workout.statistics.find(stat => stat.type.includes('Distance') && stat.sum !== null);
+            if (distance) {
+                workout.totalDistance = distance.sum;
+                workout.totalDistanceUnit = distance.unit;
+            }
+        }
+        if (workout.totalEnergyBurned === null) {
+            const energy = workout.statistics.find(stat => stat.type === 'HKQuantityTypeIdentifierActiveEnergyBurned');
+            if (energy && energy.sum !== null) {
+                workout.totalEnergyBurned = energy.sum;
+                workout.totalEnergyBurnedUnit = energy.unit;
+            }
+        }
+
+        // Totals are kept in km and kcal so workouts in different units add up
+        if (this.units.canConvert(workout.totalDistanceUnit, 'km')) {
+            workout.totalDistance = this.units.convert(workout.totalDistance, workout.totalDistanceUnit, 'km');
+            workout.totalDistanceUnit = 'km';
+        }
+        if (this.units.canConvert(workout.totalEnergyBurnedUnit, 'kcal')) {
+            workout.totalEnergyBurned = this.units.convert(workout.totalEnergyBurned, workout.totalEnergyBurnedUnit, 'kcal');
+            workout.totalEnergyBurnedUnit = 'kcal';
+        }
+
+        return workout;
+    }
+
+    /**
+     * Build an activity (one leg of a multisport workout)
+     * @param {Object} node - <WorkoutActivity> element
+     * @param {string} workoutType - Activity type of the parent workout
+     * @returns {Object} Activity
+     */
+    buildWorkoutActivity(node, workoutType) {
+        const attrs = node.attributes;
+        const startDate = attrs.startDate ? new Date(attrs.startDate) : null;
+        const activity = {
+            activityType: attrs.workoutActivityType || attrs.activityType || workoutType,
+            duration: this.toMinutes(this.parseNumber(attrs.duration), attrs.durationUnit),
+            startDate: startDate,
+            endDate: attrs.endDate ? new Date(attrs.endDate) : startDate,
+            statistics: [],
+            events: [],
+            metadata: {}
+        };
+
+        this.readWorkoutChildren(node, activity);
+
+        return activity;
+    }
+
+    /**
+     * Read MetadataEntry, WorkoutStatistics and WorkoutEvent children into a workout or activity
+     * @param {Object} node - Parent element
+     * @param {Object} target - Object with statistics, events and metadata
+     */
+    readWorkoutChildren(node, target) {
+        node.children.forEach(child => {
+            const attrs = child.attributes;
+
+            switch (child.name) {
+                case 'MetadataEntry':
+                    if (attrs.key) target.metadata[attrs.key] = attrs.value;
+                    break;
+                case 'WorkoutStatistics':
+                    target.statistics.push({
+                        type: attrs.type || '',
+                        startDate: attrs.startDate ? new Date(attrs.startDate) : null,
+                        endDate: attrs.endDate ? new Date(attrs.endDate) : null,
+                        average: this.parseNumber(attrs.average),
+                        minimum: this.parseNumber(attrs.minimum),
+                        maximum: this.parseNumber(attrs.maximum),
+                        sum: this.parseNumber(attrs.sum),
+                        unit: attrs.unit || ''
+                    });
+                    break;
+                case 'WorkoutEvent':
+                    if (!attrs.date) break;
+                    target.events.push({
+                        type: attrs.type || '',
+                        date: new Date(attrs.date),
+                        duration: this.toMinutes(this.parseNumber(attrs.duration), attrs.durationUnit) || 0,
+                        metadata: this.readMetadata(child)
+                    });
+                    break;
+            }
+        });
+
+        target.events.sort((a, b) => a.date - b.date);
+    }
+
+    /**
+     * Read MetadataEntry children of an element
+     * @param {Object} node - Element node
+     * @returns {Object} key -> value
+     */
+    readMetadata(node) {
+        const metadata = {};
+        node.children.forEach(child => {
+            if (child.name === 'MetadataEntry' && child.attributes.key) {
+                metadata[child.attributes.key] = child.attributes.value;
+            }
+        });
+        return metadata;
+    }
+
+    /**
+     * Read the InstantaneousBeatsPerMinute entries of an HRV sample
+     * Beat times are wall-clock times ("9:12:43.24 PM") in the time zone the sample was recorded in
+     * @param {Object} node - <HeartRateVariabilityMetadataList> element
+     * @param {string} startText - startDate attribute of the record, with its UTC offset
+     * @param {Date} startDate - Start of the record
+     * @returns {Array} [{ time, bpm }] sorted by time
+     */
+    readBeats(node, startText, startDate) {
+        const utcOffset = this.parseUtcOffset(startText);
+        const offset = (utcOffset !== null ? utcOffset : -startDate.getTimezoneOffset()) * 60000;
+
+        // Midnight of the recording day in the recording time zone
+        const dayMs = 24 * 60 * 60 * 1000;
+        const midnight = Math.floor((startDate.getTime() + offset) / dayMs) * dayMs - offset;
+
+        const beats = [];
+        node.children.forEach(child => {
+            if (child.name !== 'InstantaneousBeatsPerMinute') return;
+
+            const bpm = this.parseNumber(child.attributes.bpm);
+            const seconds = this.parseClockTime(child.attributes.time);
+            if (bpm === null || seconds === null) return;
+
+            let time = midnight + seconds * 1000;
+            // Samples recorded just before midnight list beats of the next day
+            if (time < startDate.getTime() - 60000) time += dayMs;
+
+            beats.push({ time: new Date(time), bpm: bpm });
+        });
+
+        return beats.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * UTC offset written in an Apple Health date
+     * @param {string} text - e.g. "2024-03-01 22:10:00 +0700"
+     * @returns {number|null} Minutes east of UTC
+     */
+    parseUtcOffset(text) {
+        const match = /([+-])(\d{2}):?(\d{2})\s*$/.exec(text || '');
+        if (!match) return null;
+        return (match[1] === '-' ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10));
+    }
+
+    /**
+     * Parse a wall-clock time such as "9:12:43.24 PM", "21:12:43,24" or "9:12:43.24 CH"
+     * @param {string} text - Time text
+     * @returns {number|null} Seconds since midnight
+     */
+    parseClockTime(text) {
+        const match = /^\s*(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?\s*(AM|PM|SA|CH|a\.m\.|p\.m\.)?/i.exec(text || '');
+        if (!match) return null;
+
+        let hours = parseInt(match[1], 10);
+        const meridiem = (match[5] || '').toLowerCase();
+        if (meridiem) {
+            const pm = meridiem === 'pm' || meridiem === 'ch' || meridiem === 'p.m.';
+            hours = hours % 12 + (pm ? 12 : 0);
+        }
+
+        const seconds = parseFloat(`${match[3] || 0}.${match[4] || 0}`);
+        return hours * 3600 + parseInt(match[2], 10) * 60 + seconds;
+    }
+
+    /**
+     * Whether a record was typed in by the user rather than measured
+     * @param {Object} record - Health record
+     * @returns {boolean}
+     */
+    isUserEntered(record) {
+        const value = record.metadata && record.metadata.HKWasUserEntered;
+        return value === '1' || value === 'true';
+    }
+
+    /**
+     * Parse a numeric attribute
+     * @param {string} value - Attribute value
+     * @returns {number|null}
+     */
+    parseNumber(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const number = parseFloat(value);
+        return isNaN(number) ? null : number;
+    }
+
+    /**
+     * Convert a duration to minutes
+     * @param {number|null} value - Duration
+     * @param {string} unit - Duration unit (s, min, hr)
+     * @returns {number|null} Minutes
+     */
+    toMinutes(value, unit) {
+        if (value === null) return null;
+
+        switch (unit) {
+            case 's':
+                return value / 60;
+            case 'hr':
+            case 'h':
+                return value * 60;
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Merge the data of another parsed export into this one
+     * Identical samples (same type, source, start, end and value) are kept once. Both record
+     * lists are sorted by start date, so they are merged in one pass without an index of all keys
+     * @param {HealthDataParser} other - Parser holding the imported export
+     * @returns {Object} { records, workouts, electrocardiograms } that were new, and the number of duplicate records
+     */
+    mergeFrom(other) {
+        const recordKey = (r) => `${r.type}|${r.sourceName}|${r.endDate.getTime()}|${r.value}|${r.categoryValue || r.diastolic || ''}`;
+        const added = [];
+        const merged = [];
+        let duplicates = 0;
+        let i = 0;
+        let j = 0;
+
+        // Both lists are sorted newest first
+        while (i < this.rawData.length || j < other.rawData.length) {
+            const a = this.rawData[i];
+            const b = other.rawData[j];
+
+            if (!b || (a && a.startDate > b.startDate)) {
+                merged.push(a);
+                i++;
+                continue;
+            }
+            if (!a || b.startDate > a.startDate) {
+                merged.push(b);
+                added.push(b);
+                j++;
+                continue;
+            }
+
+            // Same start time: compare the full keys of the group
+            const time = a.startDate.getTime();
+            const existing = new Set();
+            while (i < this.rawData.length && this.rawData[i].startDate.getTime() === time) {
+                existing.add(recordKey(this.rawData[i]));
+                merged.push(this.rawData[i++]);
+            }
+            while (j < other.rawData.length && other.rawData[j].startDate.getTime() === time) {
+                const record = other.rawData[j++];
+                const key = recordKey(record);
+                if (existing.has(key)) {
+                    duplicates++;
+                } else {
+                    existing.add(key);
+                    merged.push(record);
+                    added.push(record);
+                }
+            }
+        }
+
+        this.rawData = merged;
+        added.forEach(record => this.dataTypes.add(record.type));
+
+        const workoutKey = (w) => `${w.activityType}|${w.sourceName}|${w.startDate.getTime()}|${w.endDate.getTime()}`;
+        const workoutKeys = new Set(this.workouts.map(workoutKey));
+        const addedWorkouts = other.workouts.filter(workout => !workoutKeys.has(workoutKey(workout)));
+        this.workouts = this.workouts.concat(addedWorkouts).sort((a, b) => b.startDate - a.startDate);
+
+        const ecgKey = (ecg) => `${ecg.date.getTime()}|${ecg.samples.length}`;
+        const ecgKeys = new Set(this.electrocardiograms.map(ecgKey));
+        const addedECGs = other.electrocardiograms.filter(ecg => !ecgKeys.has(ecgKey(ecg)));
+        this.electrocardiograms = this.electrocardiograms.concat(addedECGs).sort((a, b) => b.date - a.date);
+
+        if (other.exportDate && (!this.exportDate || other.exportDate > this.exportDate)) {
+            this.exportDate = other.exportDate;
+        }
+
+        return {
+            records: added,
+            workouts: addedWorkouts,
+            electrocardiograms: addedECGs,
+            duplicates: duplicates
+        };
+    }
+
+    /**
+     * Filter workouts by activity type and date range
+     * @param {string} activityType - Activity type, or null for all
+     * @param {Date} startDate - Start date
+     * @param {Date} endDate - End date
+     * @returns {Array} Filtered workouts
+     */
+    filterWorkouts(activityType = null, startDate = null, endDate = null) {
+        return this.workouts.filter(workout =>
+            (!activityType || workout.activityType === activityType) &&
+            (!startDate || workout.startDate >= startDate) &&
+            (!endDate || workout.startDate <= endDate)
+        );
     }
 
     /**
@@ -170,6 +877,22 @@ class HealthDataParser {
         return Array.from(this.dataTypes).sort();
     }
 
+    /**
+     * Default aggregation of a data type
+     * Cumulative metrics (steps, distance, energy...) and category durations are summed per
+     * period, discrete measurements (heart rate, weight, SpO2...) are averaged
+     * @param {string} type - Data type identifier
+     * @returns {string} Key of AGGREGATIONS
+     */
+    getDefaultAggregation(type) {
+        if (this.isCategoryType(type) || CUMULATIVE_TYPES.has(type)) return 'sum';
+
+        // Nutrition entries add up to the daily intake
+        if (typeof type === 'string' && type.startsWith('HKQuantityTypeIdentifierDietary')) return 'sum';
+
+        return 'avg';
+    }
+
     /**
      * Get friendly name for data type
      * @param {string} type - Data type identifier
@@ -191,6 +914,7 @@ class HealthDataParser {
             'HKQuantityTypeIdentifierOxygenSaturation': 'Nồng độ oxy',
             'HKQuantityTypeIdentifierBloodPressureSystolic': 'Huyết áp tâm thu',
             'HKQuantityTypeIdentifierBloodPressureDiastolic': 'Huyết áp tâm trương',
+            'HKCorrelationTypeIdentifierBloodPressure': 'Huyết áp',
             'HKQuantityTypeIdentifierRespiratoryRate': 'Nhịp thở',
             'HKQuantityTypeIdentifierVO2Max': 'VO2 Max',
             'HKQuantityTypeIdentifierRestingHeartRate': 'Nhịp tim lúc nghỉ',
@@ -207,11 +931,6 @@ class HealthDataParser {
             'HKQuantityTypeIdentifierHeadphoneAudioExposure': 'Tiếp xúc âm thanh tai nghe'
         };
 
-        if (type.startsWith('Workout_')) {
-            const workoutType = type.replace('Workout_', '');
-            return `Tập luyện: ${this.getWorkoutTypeName(workoutType)}`;
-        }
-
         return friendlyNames[type] || type.replace(/HK(Quantity|Category)TypeIdentifier/g, '');
     }
 
@@ -241,6 +960,72 @@ class HealthDataParser {
         return workoutNames[type] || type.replace('HKWorkoutActivityType', '');
     }
 
+    /**
+     * Get friendly name for a category value
+     * @param {string} value - Category value identifier, e.g. HKCategoryValueSleepAnalysisAsleepCore
+     * @returns {string} Friendly name
+     */
+    getCategoryValueName(value) {
+        const categoryNames = {
+            'HKCategoryValueSleepAnalysisInBed': 'Trên giường',
+            'HKCategoryValueSleepAnalysisAsleep': 'Đang ngủ',
+            'HKCategoryValueSleepAnalysisAsleepUnspecified': 'Đang ngủ',
+            'HKCategoryValueSleepAnalysisAwake': 'Thức giấc',
+            'HKCategoryValueSleepAnalysisAsleepCore': 'Ngủ lõi',
+            'HKCategoryValueSleepAnalysisAsleepDeep': 'Ngủ sâu',
+            'HKCategoryValueSleepAnalysisAsleepREM': 'Ngủ REM',
+            'HKCategoryValueAppleStandHourStood': 'Đã đứng',
+            'HKCategoryValueAppleStandHourIdle': 'Không đứng',
+            'HKCategoryValueNotApplicable': 'Phiên'
+        };
+
+        if (!value) return '-';
+
+        return categoryNames[value] || value.replace(/^HKCategoryValue/, '');
+    }
+
+    /**
+     * Get friendly name for a metadata key
+     * @param {string} key - Metadata key, e.g. HKMetadataKeyHeartRateMotionContext
+     * @returns {string} Friendly name
+     */
+    getMetadataName(key) {
+        const metadataNames = {
+            'HKWasUserEntered': 'Nhập thủ công',
+            'HKMetadataKeyHeartRateMotionContext': 'Ngữ cảnh vận động',
+            'HKTimeZone': 'Múi giờ',
+            'HKDeviceName': 'Tên thiết bị',
+            'HKAlgorithmVersion': 'Phiên bản thuật toán',
+            'HKMetadataKeySyncIdentifier': 'Mã đồng bộ',
+            'HKMetadataKeySyncVersion': 'Phiên bản đồng bộ',
+            'HKMetadataKeyAppleDeviceCalibrated': 'Thiết bị đã hiệu chỉnh',
+            'HKMetadataKeyVO2MaxTestType': 'Loại đo VO2 Max',
+            'HKBloodGlucoseMealTime': 'Thời điểm bữa ăn'
+        };
+
+        return metadataNames[key] || key.replace(/^HK(MetadataKey)?/, '');
+    }
+
+    /**
+     * Get friendly name for a metadata value
+     * @param {string} key - Metadata key
+     * @param {string} value - Metadata value
+     * @returns {string} Friendly name
+     */
+    getMetadataValueName(key, value) {
+        switch (key) {
+            case 'HKWasUserEntered':
+            case 'HKMetadataKeyAppleDeviceCalibrated':
+                return value === '1' || value === 'true' ? 'Có' : 'Không';
+            case 'HKMetadataKeyHeartRateMotionContext':
+                return { '0': 'Không xác định', '1': 'Nghỉ ngơi', '2': 'Đang vận động' }[value] || value;
+            case 'HKBloodGlucoseMealTime':
+                return { '1': 'Trước ăn', '2': 'Sau ăn' }[value] || value;
+            default:
+                return value;
+        }
+    }
+
     /**
      * Filter data by type and date range
      * @param {string} dataType - Data type to filter
@@ -270,52 +1055,181 @@ class HealthDataParser {
     /**
      * Get statistics for a dataset
      * @param {Array} data - Array of records
-     * @returns {Object} Statistics object
+     * @returns {Object} Statistics object, see StatisticsCalculator.compute
      */
     getStatistics(data) {
-        if (!data || data.length === 0) {
-            return {
-                count: 0,
-                sum: 0,
-                avg: 0,
-                min: 0,
-                max: 0,
-                unit: ''
-            };
+        return this.statistics.compute(data || []);
+    }
+
+    /**
+     * Helper function to sleep for async operations
+     * @param {number} ms - Milliseconds to sleep
+     * @returns {Promise}
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Set how samples are assigned to calendar periods
+     * @param {string} timeZone - 'recorded' (offset of each sample), 'local' (this device) or an IANA time zone
+     * @param {number} weekStart - 0 for Sunday, 1 for Monday
+     */
+    setBucketing(timeZone, weekStart) {
+        if (timeZone !== 'recorded' && timeZone !== 'local') {
+            // Throws a RangeError for unknown zones
+            this.zoneFormatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric'
+            });
         }
 
-        const values = data.filter(d => d.value !== null).map(d => d.value);
+        this.timeZone = timeZone;
+        this.weekStart = weekStart;
+        this.zoneOffsets = new Map();
+    }
 
-        if (values.length === 0) {
-            return {
-                count: data.length,
-                sum: 0,
-                avg: 0,
-                min: 0,
-                max: 0,
-                unit: data[0]?.unit || ''
-            };
+    /**
+     * Shift a time so its UTC fields read as the wall-clock time of the bucketing time zone
+     * @param {Date} date - Time
+     * @param {number|null} utcOffset - Offset the sample was recorded with (minutes)
+     * @returns {Date} Shifted date, read with getUTC* methods
+     */
+    getCivilDate(date, utcOffset = null) {
+        const time = date.getTime();
+        let offset;
+
+        if (this.timeZone === 'recorded' && utcOffset !== null && utcOffset !== undefined) {
+            offset = utcOffset;
+        } else if (this.timeZone === 'recorded' || this.timeZone === 'local') {
+            offset = -date.getTimezoneOffset();
+        } else {
+            offset = this.getZoneOffset(time);
         }
 
-        const sum = values.reduce((a, b) => a + b, 0);
+        return new Date(time + offset * 60000);
+    }
+
+    /**
+     * UTC offset of the chosen IANA time zone at a time, cached per hour
+     * @param {number} time - Timestamp
+     * @returns {number} Minutes east of UTC
+     */
+    getZoneOffset(time) {
+        const hour = Math.floor(time / 3600000);
+        let offset = this.zoneOffsets.get(hour);
 
-        return {
-            count: data.length,
-            sum: sum,
-            avg: sum / values.length,
-            min: Math.min(...values),
-            max: Math.max(...values),
-            unit: data[0]?.unit || ''
-        };
+        if (offset === undefined) {
+            const parts = {};
+            this.zoneFormatter.formatToParts(new Date(hour * 3600000)).forEach(part => {
+                parts[part.type] = parseInt(part.value, 10);
+            });
+            const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+            offset = Math.round((wallClock - hour * 3600000) / 60000);
+            this.zoneOffsets.set(hour, offset);
+        }
+
+        return offset;
     }
 
     /**
-     * Helper function to sleep for async operations
-     * @param {number} ms - Milliseconds to sleep
-     * @returns {Promise}
+     * Start of a day in the bucketing time zone
+     * With recorded offsets every sample has its own zone, so days start at local midnight
+     * @param {string} key - Day key (YYYY-MM-DD)
+     * @returns {Date} Midnight at the start of the day
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    getDayStart(key) {
+        const [year, month, day] = key.split('-').map(part => parseInt(part, 10));
+        if (this.timeZone === 'recorded' || this.timeZone === 'local') {
+            return new Date(year, month - 1, day);
+        }
+
+        // The offset is looked up twice, in case midnight and the guess fall on both sides of a DST change
+        const midnight = Date.UTC(year, month - 1, day);
+        const guess = midnight - this.getZoneOffset(midnight) * 60000;
+        return new Date(midnight - this.getZoneOffset(guess) * 60000);
+    }
+
+    /**
+     * Key of the period a time falls in
+     * Calendar arithmetic is done on the wall-clock date, so DST changes and travel
+     * never move a sample to a neighbouring day
+     * @param {Date} date - Time
+     * @param {string} period - 'day', 'week', 'month' or 'year'
+     * @param {number|null} utcOffset - Offset the sample was recorded with (minutes)
+     * @returns {string} YYYY-MM-DD (day, first day of the week), YYYY-MM or YYYY
+     */
+    getPeriodKey(date, period, utcOffset = null) {
+        return this.getCivilPeriodKey(this.getCivilDate(date, utcOffset), period);
+    }
+
+    /**
+     * Key of the period a wall-clock date falls in
+     * @param {Date} civil - Date whose UTC fields hold the wall-clock date
+     * @param {string} period - 'day', 'week', 'month' or 'year'
+     * @returns {string} YYYY-MM-DD (day, first day of the week), YYYY-MM or YYYY
+     */
+    getCivilPeriodKey(civil, period) {
+        const year = civil.getUTCFullYear();
+        const month = civil.getUTCMonth();
+
+        switch (period) {
+            case 'week': {
+                const daysBack = (civil.getUTCDay() - this.weekStart + 7) % 7;
+                return this.formatDateKey(new Date(Date.UTC(year, month, civil.getUTCDate() - daysBack)));
+            }
+            case 'month':
+                return `${year}-${String(month + 1).padStart(2, '0')}`;
+            case 'year':
+                return String(year);
+            default:
+                return this.formatDateKey(civil);
+        }
+    }
+
+    /**
+     * @param {Date} civil - Date whose UTC fields hold the wall-clock date
+     * @returns {string} YYYY-MM-DD
+     */
+    formatDateKey(civil) {
+        return `${civil.getUTCFullYear()}-${String(civil.getUTCMonth() + 1).padStart(2, '0')}-${String(civil.getUTCDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Add an empty bucket for every period of a range that has no data
+     * @param {Array} aggregated - Buckets from aggregateByPeriod
+     * @param {Date} start - Start of the range
+     * @param {Date} end - End of the range
+     * @param {string} period - Period type: 'day', 'week', 'month', 'year'
+     * @returns {Array} One bucket per period of the range, in order
+     */
+    fillPeriods(aggregated, start, end, period = 'day') {
+        const buckets = new Map(aggregated.map(item => [item.date, item]));
+        const keys = [];
+
+        // Step through the wall-clock days of the range, keyed like the samples in it
+        const last = this.getPeriodKey(end, 'day');
+        const [year, month, date] = this.getPeriodKey(start, 'day').split('-').map(part => parseInt(part, 10));
+        for (let day = new Date(Date.UTC(year, month - 1, date)); this.formatDateKey(day) <= last; day.setUTCDate(day.getUTCDate() + 1)) {
+            const key = this.getCivilPeriodKey(day, period);
+            if (keys[keys.length - 1] !== key) keys.push(key);
+        }
+
+        return keys.map(key => buckets.get(key) || {
+            date: key,
+            values: [],
+            count: 0,
+            sum: null,
+            avg: null,
+            min: null,
+            max: null,
+            categories: {}
+        });
     }
 
     /**
@@ -328,27 +1242,7 @@ class HealthDataParser {
         const aggregated = {};
 
         data.forEach(record => {
-            let key;
-            const date = new Date(record.startDate);
-
-            switch (period) {
-                case 'day':
-                    key = date.toISOString().split('T')[0];
-                    break;
-                case 'week':
-                    const weekStart = new Date(date);
-                    weekStart.setDate(date.getDate() - date.getDay());
-                    key = weekStart.toISOString().split('T')[0];
-                    break;
-                case 'month':
-                    key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-                    break;
-                case 'year':
-                    key = String(date.getFullYear());
-                    break;
-                default:
-                    key = date.toISOString().split('T')[0];
-            }
+            const key = this.getPeriodKey(new Date(record.startDate), period, record.utcOffset);
 
             if (!aggregated[key]) {
                 aggregated[key] = {
@@ -356,14 +1250,26 @@ class HealthDataParser {
                     values: [],
                     count: 0,
                     sum: 0,
-                    avg: 0
+                    avg: 0,
+                    min: null,
+                    max: null,
+                    categories: {}
                 };
             }
 
             if (record.value !== null) {
-                aggregated[key].values.push(record.value);
-                aggregated[key].count++;
-                aggregated[key].sum += record.value;
+                const item = aggregated[key];
+                item.values.push(record.value);
+                item.count++;
+                item.sum += record.value;
+                if (item.min === null || record.value < item.min) item.min = record.value;
+                if (item.max === null || record.value > item.max) item.max = record.value;
+            }
+
+            // Category records also keep the duration per category value
+            if (record.kind === 'category') {
+                const categories = aggregated[key].categories;
+                categories[record.categoryValue] = (categories[record.categoryValue] || 0) + record.value;
             }
         });
 
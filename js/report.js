@@ -0,0 +1,76 @@
+/**
+ * Printable report of Apple Health data
+ * Picks the metrics of a report and the readings worth pointing out to a doctor
+ */
+
+// Metrics selected for a new report when they are in the data
+const REPORT_DEFAULT_TYPES = [
+    'HKCorrelationTypeIdentifierBloodPressure',
+    'HKQuantityTypeIdentifierHeartRate',
+    'HKQuantityTypeIdentifierRestingHeartRate',
+    'HKQuantityTypeIdentifierBodyMass',
+    'HKQuantityTypeIdentifierBloodGlucose',
+    'HKQuantityTypeIdentifierOxygenSaturation',
+    'HKQuantityTypeIdentifierStepCount'
+];
+
+// Outliers listed per metric
+const REPORT_MAX_OUTLIERS = 5;
+
+// Metrics listed with their lowest, average and highest value per period
+const REPORT_RANGE_TYPES = [
+    'HKQuantityTypeIdentifierHeartRate',
+    'HKQuantityTypeIdentifierRestingHeartRate',
+    'HKQuantityTypeIdentifierWalkingHeartRateAverage'
+];
+
+// Rows of the blood pressure and heart rate tables
+const REPORT_MAX_ROWS = 31;
+
+class ReportAnalyzer {
+    constructor() {
+        this.anomalyDetector = new AnomalyDetector();
+    }
+
+    /**
+     * Metrics selected for a new report
+     * @param {Array<string>} types - Data types in the data
+     * @returns {Array<string>} Default metrics found in types
+     */
+    getDefaultTypes(types) {
+        return REPORT_DEFAULT_TYPES.filter(type => types.includes(type));
+    }
+
+    /**
+     * Readings far from the median of a metric, by the same median/MAD rule as AnomalyDetector
+     * Only meant for measurements: samples of cumulative metrics cover arbitrary spans
+     * @param {Array} records - Records of one data type
+     * @param {number} threshold - Modified z-score limit
+     * @param {number} limit - Outliers returned
+     * @returns {Array} [{ record, score }] with the signed modified z-score as score, furthest first
+     */
+    findOutliers(records, threshold = ANOMALY_THRESHOLD, limit = REPORT_MAX_OUTLIERS) {
+        const values = records.filter(record => record.value !== null);
+        const spread = this.anomalyDetector.getSpread(Float64Array.from(values, record => record.value));
+        if (!spread) return [];
+
+        return values
+            .map(record => ({ record: record, score: (record.value - spread.median) / spread.scale }))
+            .filter(outlier => Math.abs(outlier.score) >= threshold)
+            .sort((a, b) => Math.abs(b.score) - Math.abs(a.score))
+            .slice(0, limit);
+    }
+
+    /**
+     * Sources of the records in a report
+     * @param {Array<Array>} recordSets - Records of each metric
+     * @returns {Array<string>} Source names, sorted
+     */
+    getSources(recordSets) {
+        const sources = new Set();
+        recordSets.forEach(records => {
+            records.forEach(record => sources.add(record.sourceName));
+        });
+        return Array.from(sources).sort((a, b) => a.localeCompare(b));
+    }
+}
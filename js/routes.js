@@ -0,0 +1,214 @@
+/**
+ * Workout routes for Apple Health data
+ * Parses workout-routes/*.gpx files from the export ZIP and computes route totals
+ */
+
+// Elevation changes smaller than this are treated as GPS noise (m)
+const ROUTE_ELEVATION_THRESHOLD = 3;
+
+// Slower than this counts as standing still (m/s)
+const ROUTE_MOVING_SPEED = 0.5;
+
+// Gaps between points longer than this are not counted as moving time (s)
+const ROUTE_MAX_GAP = 60;
+
+class RouteAnalyzer {
+    /**
+     * Parse a GPX document into a compact track
+     * @param {string} text - GPX content
+     * @returns {Object} { count, lat, lon, ele, time, speed, distance } as typed arrays
+     */
+    parseGPX(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const points = doc.getElementsByTagName('trkpt');
+        const count = points.length;
+
+        const track = {
+            count: count,
+            lat: new Float64Array(count),
+            lon: new Float64Array(count),
+            ele: new Float32Array(count),
+            time: new Float64Array(count),
+            speed: new Float32Array(count),
+            distance: new Float64Array(count)
+        };
+
+        const childText = (point, name) => {
+            const element = point.getElementsByTagName(name)[0];
+            return element ? element.textContent : null;
+        };
+
+        for (let i = 0; i < count; i++) {
+            const point = points[i];
+            track.lat[i] = parseFloat(point.getAttribute('lat'));
+            track.lon[i] = parseFloat(point.getAttribute('lon'));
+
+            const ele = childText(point, 'ele');
+            track.ele[i] = ele !== null ? parseFloat(ele) : NaN;
+
+            const time = childText(point, 'time');
+            track.time[i] = time !== null ? new Date(time).getTime() : NaN;
+
+            const speed = childText(point, 'speed');
+            track.speed[i] = speed !== null ? parseFloat(speed) : NaN;
+
+            track.distance[i] = i === 0 ? 0 :
+                track.distance[i - 1] + this.haversine(track.lat[i - 1], track.lon[i - 1], track.lat[i], track.lon[i]);
+        }
+
+        return track;
+    }
+
+    /**
+     * Distance between two coordinates
+     * @returns {number} Meters
+     */
+    haversine(lat1, lon1, lat2, lon2) {
+        const toRad = Math.PI / 180;
+        const dLat = (lat2 - lat1) * toRad;
+        const dLon = (lon2 - lon1) * toRad;
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+        return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    /**
+     * Speed at a point, measured by the watch or derived from the previous point
+     * @param {Object} track - Parsed track
+     * @param {number} i - Point index
+     * @returns {number} m/s (NaN when unknown)
+     */
+    getSpeed(track, i) {
+        if (!isNaN(track.speed[i]) && track.speed[i] >= 0) return track.speed[i];
+        if (i === 0) return NaN;
+
+        const dt = (track.time[i] - track.time[i - 1]) / 1000;
+        return dt > 0 ? (track.distance[i] - track.distance[i - 1]) / dt : NaN;
+    }
+
+    /**
+     * Route totals
+     * @param {Object} track - Parsed track
+     * @returns {Object} Distance (km), elevation gain/loss (m), moving time (min), speeds (km/h)...
+     */
+    computeTotals(track) {
+        const totals = {
+            distance: 0,
+            duration: 0,
+            movingTime: 0,
+            elevationGain: 0,
+            elevationLoss: 0,
+            minElevation: null,
+            maxElevation: null,
+            avgSpeed: 0,
+            maxSpeed: 0
+        };
+
+        if (track.count === 0) return totals;
+
+        const last = track.count - 1;
+        totals.distance = track.distance[last] / 1000;
+        totals.duration = (track.time[last] - track.time[0]) / 60000 || 0;
+
+        // Elevation with hysteresis so GPS jitter does not add up
+        let anchor = null;
+        let movingSeconds = 0;
+        let movingMeters = 0;
+
+        for (let i = 0; i < track.count; i++) {
+            const ele = track.ele[i];
+            if (!isNaN(ele)) {
+                if (totals.minElevation === null || ele < totals.minElevation) totals.minElevation = ele;
+                if (totals.maxElevation === null || ele > totals.maxElevation) totals.maxElevation = ele;
+
+                if (anchor === null) {
+                    anchor = ele;
+                } else if (ele - anchor >= ROUTE_ELEVATION_THRESHOLD) {
+                    totals.elevationGain += ele - anchor;
+                    anchor = ele;
+                } else if (anchor - ele >= ROUTE_ELEVATION_THRESHOLD) {
+                    totals.elevationLoss += anchor - ele;
+                    anchor = ele;
+                }
+            }
+
+            if (i === 0) continue;
+
+            const dt = (track.time[i] - track.time[i - 1]) / 1000;
+            const speed = this.getSpeed(track, i);
+            if (dt > 0 && dt <= ROUTE_MAX_GAP && speed >= ROUTE_MOVING_SPEED) {
+                movingSeconds += dt;
+                movingMeters += track.distance[i] - track.distance[i - 1];
+                if (speed > totals.maxSpeed) totals.maxSpeed = speed;
+            }
+        }
+
+        totals.movingTime = movingSeconds / 60;
+        totals.avgSpeed = movingSeconds > 0 ? movingMeters / movingSeconds * 3.6 : 0;
+        totals.maxSpeed *= 3.6;
+
+        return totals;
+    }
+
+    /**
+     * Elevation and speed profiles against distance, downsampled for charting
+     * @param {Object} track - Parsed track
+     * @param {number} maxPoints - Maximum points per profile
+     * @returns {Object} { elevation: [{x, y}], speed: [{x, y}] } with x in km
+     */
+    getProfiles(track, maxPoints = 500) {
+        const elevation = [];
+        const speed = [];
+        const step = Math.max(1, Math.ceil(track.count / maxPoints));
+
+        for (let i = 0; i < track.count; i += step) {
+            const x = track.distance[i] / 1000;
+            if (!isNaN(track.ele[i])) {
+                elevation.push({ x: x, y: track.ele[i] });
+            }
+
+            // Average the speed over the step to smooth GPS noise
+            let sum = 0;
+            let n = 0;
+            for (let j = i; j < Math.min(i + step, track.count); j++) {
+                const value = this.getSpeed(track, j);
+                if (!isNaN(value)) {
+                    sum += value;
+                    n++;
+                }
+            }
+            if (n > 0) {
+                speed.push({ x: x, y: sum / n * 3.6 });
+            }
+        }
+
+        return { elevation: elevation, speed: speed };
+    }
+
+    /**
+     * Find the workout a track was recorded during
+     * @param {Array} workouts - Parsed workouts
+     * @param {Object} track - Parsed track
+     * @returns {Object|null} Workout
+     */
+    findWorkoutForTrack(workouts, track) {
+        if (track.count === 0 || isNaN(track.time[0])) return null;
+
+        const start = track.time[0];
+        const margin = 60 * 1000;
+
+        return workouts.find(workout =>
+            start >= workout.startDate.getTime() - margin &&
+            start <= workout.endDate.getTime() + margin
+        ) || null;
+    }
+
+    /**
+     * File name of a path
+     * @param {string} path - e.g. /workout-routes/route_2024-03-01_6.35am.gpx
+     * @returns {string} Lower-cased file name
+     */
+    getFileName(path) {
+        return path.split('/').pop().toLowerCase();
+    }
+}
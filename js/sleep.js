@@ -0,0 +1,254 @@
+/**
+ * Sleep analysis for Apple Health data
+ * Groups SleepAnalysis samples into nights and computes sleep metrics
+ */
+
+const SLEEP_TYPE = 'HKCategoryTypeIdentifierSleepAnalysis';
+
+// Samples further apart than this start a new sleep session
+const SLEEP_SESSION_GAP_MS = 3 * 60 * 60 * 1000;
+
+// Category value -> sleep stage
+const SLEEP_STAGES = {
+    'HKCategoryValueSleepAnalysisInBed': 'inBed',
+    'HKCategoryValueSleepAnalysisAwake': 'awake',
+    'HKCategoryValueSleepAnalysisAsleepREM': 'rem',
+    'HKCategoryValueSleepAnalysisAsleepCore': 'core',
+    'HKCategoryValueSleepAnalysisAsleepDeep': 'deep',
+    'HKCategoryValueSleepAnalysisAsleep': 'asleep',
+    'HKCategoryValueSleepAnalysisAsleepUnspecified': 'asleep'
+};
+
+// Stages that count as time asleep
+const ASLEEP_STAGES = ['rem', 'core', 'deep', 'asleep'];
+
+class SleepAnalyzer {
+    /**
+     * @param {function} getCivilDate - (date, utcOffset) => Date whose UTC fields hold the wall-clock
+     *     time, e.g. HealthDataParser.getCivilDate (default: the time zone of the browser)
+     */
+    constructor(getCivilDate = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000)) {
+        this.getCivilDate = getCivilDate;
+    }
+
+    /**
+     * Group sleep samples into nights
+     * A night is every session waking up on the same calendar date, so sleep spanning
+     * midnight is assigned to the wake-up date
+     * @param {Array} records - SleepAnalysis category records
+     * @returns {Array} Nights sorted by date
+     */
+    groupNights(records) {
+        const samples = records
+            .filter(record => SLEEP_STAGES[record.categoryValue])
+            .sort((a, b) => a.startDate - b.startDate);
+
+        // Split into sessions of samples close to each other
+        const sessions = [];
+        let current = null;
+
+        samples.forEach(sample => {
+            if (!current || sample.startDate - current.end > SLEEP_SESSION_GAP_MS) {
+                current = { samples: [], end: sample.endDate, endOffset: sample.utcOffset };
+                sessions.push(current);
+            }
+            current.samples.push(sample);
+            if (sample.endDate > current.end) {
+                current.end = sample.endDate;
+                current.endOffset = sample.utcOffset;
+            }
+        });
+
+        // Merge sessions by wake-up date
+        const byDate = new Map();
+        sessions.forEach(session => {
+            const key = this.getDateKey(session.end, session.endOffset);
+            if (!byDate.has(key)) byDate.set(key, []);
+            byDate.get(key).push(...session.samples);
+        });
+
+        return Array.from(byDate.entries())
+            .map(([date, nightSamples]) => this.buildNight(date, nightSamples))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Compute metrics of a single night
+     * @param {string} date - Wake-up date (YYYY-MM-DD)
+     * @param {Array} samples - Sleep samples of the night
+     * @returns {Object} Night summary
+     */
+    buildNight(date, samples) {
+        const inBedSamples = samples.filter(s => SLEEP_STAGES[s.categoryValue] === 'inBed');
+        let stageSamples = samples.filter(s => SLEEP_STAGES[s.categoryValue] !== 'inBed');
+
+        // When several sources tracked the night, use the one with the most detailed stages
+        // so overlapping samples are not counted twice
+        const stagedBySource = {};
+        stageSamples.forEach(s => {
+            const stage = SLEEP_STAGES[s.categoryValue];
+            const weight = stage === 'asleep' || stage === 'awake' ? 0.001 : 1;
+            stagedBySource[s.sourceName] = (stagedBySource[s.sourceName] || 0) + (s.endDate - s.startDate) * weight;
+        });
+        const primarySource = Object.keys(stagedBySource).sort((a, b) => stagedBySource[b] - stagedBySource[a])[0];
+        if (primarySource) {
+            stageSamples = stageSamples.filter(s => s.sourceName === primarySource);
+        }
+
+        const stages = { awake: 0, rem: 0, core: 0, deep: 0, asleep: 0 };
+        Object.keys(stages).forEach(stage => {
+            stages[stage] = this.unionMinutes(stageSamples.filter(s => SLEEP_STAGES[s.categoryValue] === stage));
+        });
+
+        const asleep = this.unionMinutes(stageSamples.filter(s => ASLEEP_STAGES.includes(SLEEP_STAGES[s.categoryValue])));
+
+        const first = samples.reduce((a, b) => b.startDate < a.startDate ? b : a);
+        const last = samples.reduce((a, b) => b.endDate > a.endDate ? b : a);
+        const bedtime = new Date(first.startDate);
+        const wakeTime = new Date(last.endDate);
+
+        // Without in-bed samples, the time in bed is the span of the night
+        const inBed = inBedSamples.length > 0 ?
+            this.unionMinutes(inBedSamples.concat(stageSamples)) :
+            (wakeTime - bedtime) / 60000;
+
+        const segments = inBedSamples.concat(stageSamples)
+            .map(s => ({ stage: SLEEP_STAGES[s.categoryValue], start: s.startDate, end: s.endDate }))
+            .sort((a, b) => a.start - b.start);
+
+        return {
+            date: date,
+            bedtime: bedtime,
+            wakeTime: wakeTime,
+            // UTC offsets the night was recorded with, in minutes (null when unknown)
+            bedtimeOffset: first.utcOffset ?? null,
+            wakeOffset: last.utcOffset ?? null,
+            inBed: inBed,
+            asleep: asleep,
+            awake: stages.awake,
+            efficiency: inBed > 0 ? Math.min(asleep / inBed, 1) * 100 : 0,
+            stages: stages,
+            segments: segments,
+            sources: Array.from(new Set(samples.map(s => s.sourceName)))
+        };
+    }
+
+    /**
+     * Summarize sleep over a set of nights
+     * @param {Array} nights - Nights from groupNights
+     * @returns {Object} Averages, consistency and stage percentages
+     */
+    summarize(nights) {
+        const count = nights.length;
+        const stagePercent = { awake: 0, rem: 0, core: 0, deep: 0, asleep: 0 };
+
+        if (count === 0) {
+            return {
+                nights: 0,
+                avgAsleep: 0,
+                avgInBed: 0,
+                avgEfficiency: 0,
+                bedtime: null,
+                wakeTime: null,
+                stagePercent: stagePercent
+            };
+        }
+
+        const average = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+        const stageTotals = { awake: 0, rem: 0, core: 0, deep: 0, asleep: 0 };
+        nights.forEach(night => {
+            Object.keys(stageTotals).forEach(stage => {
+                stageTotals[stage] += night.stages[stage];
+            });
+        });
+        const stageSum = Object.values(stageTotals).reduce((a, b) => a + b, 0);
+        Object.keys(stagePercent).forEach(stage => {
+            stagePercent[stage] = stageSum > 0 ? stageTotals[stage] / stageSum * 100 : 0;
+        });
+
+        // Bedtimes are measured from noon so times around midnight average correctly
+        const bedtimes = nights.map(n => this.minutesSince(n.bedtime, 12, n.bedtimeOffset));
+        const wakeTimes = nights.map(n => this.minutesSince(n.wakeTime, 0, n.wakeOffset));
+
+        return {
+            nights: count,
+            avgAsleep: average(nights.map(n => n.asleep)),
+            avgInBed: average(nights.map(n => n.inBed)),
+            avgEfficiency: average(nights.map(n => n.efficiency)),
+            bedtime: {
+                mean: (average(bedtimes) + 12 * 60) % (24 * 60),
+                deviation: this.standardDeviation(bedtimes)
+            },
+            wakeTime: {
+                mean: average(wakeTimes),
+                deviation: this.standardDeviation(wakeTimes)
+            },
+            stagePercent: stagePercent
+        };
+    }
+
+    /**
+     * Total minutes covered by a set of samples, counting overlaps once
+     * @param {Array} samples - Records with startDate/endDate
+     * @returns {number} Minutes
+     */
+    unionMinutes(samples) {
+        const intervals = samples
+            .map(s => [s.startDate.getTime(), s.endDate.getTime()])
+            .sort((a, b) => a[0] - b[0]);
+
+        let total = 0;
+        let start = null;
+        let end = null;
+
+        intervals.forEach(([s, e]) => {
+            if (end === null || s > end) {
+                if (end !== null) total += end - start;
+                start = s;
+                end = e;
+            } else if (e > end) {
+                end = e;
+            }
+        });
+        if (end !== null) total += end - start;
+
+        return total / 60000;
+    }
+
+    /**
+     * Minutes elapsed since a given hour of the day (wrapping at 24 h), on the wall clock
+     * @param {Date} date - Time
+     * @param {number} hour - Reference hour
+     * @param {number|null} utcOffset - UTC offset the time was recorded with
+     * @returns {number} Minutes
+     */
+    minutesSince(date, hour, utcOffset = null) {
+        const civil = this.getCivilDate(date, utcOffset);
+        const minutes = civil.getUTCHours() * 60 + civil.getUTCMinutes() - hour * 60;
+        return (minutes + 24 * 60) % (24 * 60);
+    }
+
+    /**
+     * Population standard deviation
+     * @param {Array<number>} values - Values
+     * @returns {number}
+     */
+    standardDeviation(values) {
+        if (values.length < 2) return 0;
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+        return Math.sqrt(variance);
+    }
+
+    /**
+     * Calendar date key on the wall clock
+     * @param {Date} date - Date
+     * @param {number|null} utcOffset - UTC offset the date was recorded with
+     * @returns {string} YYYY-MM-DD
+     */
+    getDateKey(date, utcOffset = null) {
+        const civil = this.getCivilDate(date, utcOffset);
+        return `${civil.getUTCFullYear()}-${String(civil.getUTCMonth() + 1).padStart(2, '0')}-${String(civil.getUTCDate()).padStart(2, '0')}`;
+    }
+}
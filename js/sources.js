@@ -0,0 +1,202 @@
+/**
+ * Source priority for Apple Health data
+ * Resolves samples recorded by several sources for the same time, like the Health app does
+ */
+
+// Default priority tiers: Apple Watch, then iPhone, then other apps and devices
+const SOURCE_TIERS = [/watch/i, /iphone/i];
+
+class SourceDeduplicator {
+    constructor() {
+        // Source names from highest to lowest priority
+        this.priority = [];
+        this.enabled = true;
+    }
+
+    /**
+     * List every source of a set of records with its sample count and device
+     * @param {Array} records - Health records
+     * @returns {Array} [{ name, count, device }] sorted by count
+     */
+    getSources(records) {
+        const sources = new Map();
+
+        records.forEach(record => {
+            let source = sources.get(record.sourceName);
+            if (!source) {
+                source = { name: record.sourceName, count: 0, device: '' };
+                sources.set(record.sourceName, source);
+            }
+            source.count++;
+            if (!source.device && record.device) {
+                source.device = this.getDeviceName(record.device);
+            }
+        });
+
+        return Array.from(sources.values()).sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Device name from the HKDevice description of a record
+     * @param {string} device - e.g. "<<HKDevice: 0x...>, name:Apple Watch, manufacturer:Apple Inc., model:Watch, ...>"
+     * @returns {string} Device name
+     */
+    getDeviceName(device) {
+        const match = /name:([^,>]+)/.exec(device);
+        return match ? match[1].trim() : '';
+    }
+
+    /**
+     * Default priority: Apple Watch sources, then iPhone, then everything else by sample count
+     * @param {Array} sources - Sources from getSources
+     * @returns {Array<string>} Source names
+     */
+    getDefaultPriority(sources) {
+        const tier = (source) => {
+            const text = `${source.name} ${source.device}`;
+            const index = SOURCE_TIERS.findIndex(pattern => pattern.test(text));
+            return index === -1 ? SOURCE_TIERS.length : index;
+        };
+
+        return sources
+            .slice()
+            .sort((a, b) => tier(a) - tier(b) || b.count - a.count)
+            .map(source => source.name);
+    }
+
+    /**
+     * Set the priority list
+     * @param {Array<string>} priority - Source names from highest to lowest priority
+     */
+    setPriority(priority) {
+        this.priority = Array.from(new Set(priority));
+    }
+
+    /**
+     * Move a source up or down the priority list
+     * @param {string} name - Source name
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveSource(name, offset) {
+        const index = this.priority.indexOf(name);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.priority.length) return;
+
+        [this.priority[index], this.priority[target]] = [this.priority[target], this.priority[index]];
+    }
+
+    /**
+     * Resolve overlapping samples of cumulative records
+     * Samples are taken in priority order; the part of a sample overlapping time already covered
+     * by a higher priority source is removed and its value scaled down proportionally
+     * @param {Array} records - Records of one cumulative data type
+     * @returns {Array} De-duplicated records (scaled samples are copies)
+     */
+    deduplicate(records) {
+        if (records.length === 0) return records;
+
+        const rank = new Map(this.priority.map((name, index) => [name, index]));
+        const rankOf = (record) => rank.has(record.sourceName) ? rank.get(record.sourceName) : this.priority.length;
+
+        // Single source: nothing can overlap across sources
+        const firstSource = records[0].sourceName;
+        if (records.every(record => record.sourceName === firstSource)) return records;
+
+        const ordered = records
+            .slice()
+            .sort((a, b) => rankOf(a) - rankOf(b) || a.startDate - b.startDate);
+
+        // Covered time as sorted, non-overlapping [start, end] intervals
+        const covered = [];
+        const result = [];
+
+        ordered.forEach(record => {
+            if (record.value === null) return;
+
+            const start = record.startDate.getTime();
+            const end = record.endDate.getTime();
+
+            if (end <= start) {
+                // Instantaneous sample: dropped when it falls inside covered time
+                if (!this.isCovered(covered, start)) result.push(record);
+                return;
+            }
+
+            const uncovered = (end - start) - this.overlap(covered, start, end);
+            if (uncovered > 0) {
+                const fraction = uncovered / (end - start);
+                result.push(fraction === 1 ? record : Object.assign({}, record, { value: record.value * fraction }));
+            }
+
+            this.addInterval(covered, start, end);
+        });
+
+        return result.sort((a, b) => b.startDate - a.startDate);
+    }
+
+    /**
+     * Index of the first interval ending after a time
+     * @param {Array} intervals - Sorted intervals
+     * @param {number} time - Timestamp
+     * @returns {number}
+     */
+    findInterval(intervals, time) {
+        let low = 0;
+        let high = intervals.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (intervals[mid][1] <= time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Whether a time is inside covered time
+     * @param {Array} intervals - Sorted intervals
+     * @param {number} time - Timestamp
+     * @returns {boolean}
+     */
+    isCovered(intervals, time) {
+        const interval = intervals[this.findInterval(intervals, time)];
+        return interval !== undefined && interval[0] <= time;
+    }
+
+    /**
+     * Milliseconds of [start, end] already covered
+     * @param {Array} intervals - Sorted intervals
+     * @param {number} start - Start timestamp
+     * @param {number} end - End timestamp
+     * @returns {number}
+     */
+    overlap(intervals, start, end) {
+        let total = 0;
+        for (let i = this.findInterval(intervals, start); i < intervals.length && intervals[i][0] < end; i++) {
+            total += Math.min(end, intervals[i][1]) - Math.max(start, intervals[i][0]);
+        }
+        return total;
+    }
+
+    /**
+     * Add [start, end] to covered time, merging overlapping intervals
+     * @param {Array} intervals - Sorted intervals, modified in place
+     * @param {number} start - Start timestamp
+     * @param {number} end - End timestamp
+     */
+    addInterval(intervals, start, end) {
+        let first = this.findInterval(intervals, start);
+        if (first > 0 && intervals[first - 1][1] === start) first--;
+
+        let last = first;
+        while (last < intervals.length && intervals[last][0] <= end) {
+            start = Math.min(start, intervals[last][0]);
+            end = Math.max(end, intervals[last][1]);
+            last++;
+        }
+
+        intervals.splice(first, last - first, [start, end]);
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * Descriptive statistics for Apple Health data
+ * Works on hundreds of thousands of samples: one pass over the records, then one sort of a typed array
+ */
+
+// Statistics that can be shown on the stat cards
+const STATISTICS = {
+    avg: 'Trung bình',
+    median: 'Trung vị',
+    min: 'Thấp nhất',
+    max: 'Cao nhất',
+    sum: 'Tổng',
+    p5: 'Phân vị 5',
+    p25: 'Phân vị 25',
+    p75: 'Phân vị 75',
+    p95: 'Phân vị 95',
+    stdDev: 'Độ lệch chuẩn',
+    cv: 'Hệ số biến thiên'
+};
+
+// Percentiles computed for every set of values
+const STATISTIC_PERCENTILES = [5, 25, 75, 95];
+
+class StatisticsCalculator {
+    /**
+     * Statistics of records (or of any items with a value, like period buckets)
+     * @param {Array} records - Records of one data type
+     * @param {function} getValue - Value of a record (default: record.value)
+     * @param {function} getDate - Date of a record (default: record.startDate)
+     * @returns {Object} { count, valueCount, sum, avg, median, min, max, minDate, maxDate, p5, p25,
+     *     p75, p95, stdDev, cv, unit, kind } with null statistics when there are no values
+     */
+    compute(records, getValue = (record) => record.value, getDate = (record) => record.startDate) {
+        const values = new Float64Array(records.length);
+        let count = 0;
+        let sum = 0;
+        let mean = 0;
+        let squares = 0;
+        let min = null;
+        let max = null;
+
+        // Sum, extremes and variance (Welford) in the same pass
+        for (let i = 0; i < records.length; i++) {
+            const value = getValue(records[i]);
+            if (value === null || value === undefined || isNaN(value)) continue;
+
+            values[count++] = value;
+            sum += value;
+            const delta = value - mean;
+            mean += delta / count;
+            squares += delta * (value - mean);
+
+            if (min === null || value < min.value) min = { value: value, record: records[i] };
+            if (max === null || value > max.value) max = { value: value, record: records[i] };
+        }
+
+        const stats = this.describe(values.subarray(0, count), sum, squares);
+        stats.count = records.length;
+        stats.minDate = min ? getDate(min.record) : null;
+        stats.maxDate = max ? getDate(max.record) : null;
+        stats.unit = records[0]?.unit || '';
+        stats.kind = records[0]?.kind || 'quantity';
+        return stats;
+    }
+
+    /**
+     * Order statistics and spread of collected values
+     * @param {Float64Array} values - Values (sorted in place)
+     * @param {number} sum - Sum of the values
+     * @param {number} squares - Sum of squared differences from the mean
+     * @returns {Object} Statistics, null when there are no values
+     */
+    describe(values, sum, squares) {
+        const n = values.length;
+        const stats = { valueCount: n, sum: n > 0 ? sum : null };
+
+        if (n === 0) {
+            ['avg', 'median', 'min', 'max', 'stdDev', 'cv'].forEach(key => {
+                stats[key] = null;
+            });
+            STATISTIC_PERCENTILES.forEach(p => {
+                stats[`p${p}`] = null;
+            });
+            return stats;
+        }
+
+        // Typed arrays sort numerically
+        values.sort();
+
+        stats.avg = sum / n;
+        stats.min = values[0];
+        stats.max = values[n - 1];
+        stats.median = this.percentile(values, 50);
+        STATISTIC_PERCENTILES.forEach(p => {
+            stats[`p${p}`] = this.percentile(values, p);
+        });
+        // Sample standard deviation
+        stats.stdDev = n > 1 ? Math.sqrt(squares / (n - 1)) : 0;
+        stats.cv = stats.avg !== 0 ? stats.stdDev / Math.abs(stats.avg) : null;
+
+        return stats;
+    }
+
+    /**
+     * Percentile of sorted values, interpolating between the closest ranks
+     * @param {Float64Array|Array<number>} sorted - Values in ascending order
+     * @param {number} p - Percentile, 0 to 100
+     * @returns {number|null} Value, null when there are no values
+     */
+    percentile(sorted, p) {
+        if (sorted.length === 0) return null;
+
+        const position = (sorted.length - 1) * p / 100;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+}
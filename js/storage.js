@@ -0,0 +1,319 @@
+/**
+ * On-device storage for Apple Health data
+ * Keeps parsed exports and settings in IndexedDB so a reload does not require re-importing
+ */
+
+const STORAGE_DB_NAME = 'apple-health-analyzer';
+const STORAGE_DB_VERSION = 1;
+
+// Records written per IndexedDB transaction
+const STORAGE_BATCH_SIZE = 10000;
+
+class HealthDataStore {
+    constructor() {
+        this.db = null;
+    }
+
+    /**
+     * Open (and create or upgrade) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('Trình duyệt không hỗ trợ IndexedDB'));
+                return;
+            }
+
+            const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                db.createObjectStore('datasets', { keyPath: 'id', autoIncrement: true });
+
+                const records = db.createObjectStore('records', { autoIncrement: true });
+                records.createIndex('dataset', 'datasetId');
+                records.createIndex('type_date', ['datasetId', 'type', 'startDate']);
+
+                db.createObjectStore('workouts', { autoIncrement: true }).createIndex('dataset', 'datasetId');
+                db.createObjectStore('electrocardiograms', { autoIncrement: true }).createIndex('dataset', 'datasetId');
+                db.createObjectStore('settings', { keyPath: 'key' });
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let other tabs upgrade the database
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Cơ sở dữ liệu đang được mở ở tab khác'));
+        });
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request - Request
+     * @returns {Promise<*>} Request result
+     */
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Wait for a transaction to commit
+     * @param {IDBTransaction} transaction - Transaction
+     * @returns {Promise<void>}
+     */
+    complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Giao dịch IndexedDB bị hủy'));
+        });
+    }
+
+    /**
+     * Store a parsed export
+     * @param {HealthDataParser} parser - Parser holding the data
+     * @param {string} name - Name of the imported file
+     * @param {function} progressCallback - Called with (fraction, message)
+     * @returns {Promise<Object>} Stored dataset description
+     */
+    async saveDataset(parser, name, progressCallback = null) {
+        const db = await this.open();
+
+        const dataset = this.describe(parser, name);
+        dataset.importedAt = new Date();
+
+        const transaction = db.transaction('datasets', 'readwrite');
+        const added = this.complete(transaction);
+        dataset.id = await this.promisify(transaction.objectStore('datasets').add(dataset));
+        await added;
+
+        try {
+            await this.writeItems(dataset.id, parser, progressCallback);
+        } catch (error) {
+            // Do not leave a partial dataset behind (e.g. when the quota is exceeded)
+            await this.deleteDataset(dataset.id).catch(() => {});
+            throw error;
+        }
+
+        await this.setSetting('currentDataset', dataset.id);
+        return dataset;
+    }
+
+    /**
+     * Add the new data of a merged export to a stored dataset
+     * @param {number} id - Dataset id
+     * @param {HealthDataParser} parser - Parser holding the merged data
+     * @param {Object} added - { records, workouts, electrocardiograms } from HealthDataParser.mergeFrom
+     * @param {string} name - Name of the dataset
+     * @param {function} progressCallback - Called with (fraction, message)
+     * @returns {Promise<Object>} Updated dataset description
+     */
+    async appendToDataset(id, parser, added, name, progressCallback = null) {
+        const db = await this.open();
+
+        await this.writeItems(id, {
+            rawData: added.records,
+            workouts: added.workouts,
+            electrocardiograms: added.electrocardiograms
+        }, progressCallback);
+
+        const transaction = db.transaction('datasets', 'readwrite');
+        const done = this.complete(transaction);
+        const store = transaction.objectStore('datasets');
+        const dataset = Object.assign(await this.promisify(store.get(id)), this.describe(parser, name));
+        store.put(dataset);
+        await done;
+
+        return dataset;
+    }
+
+    /**
+     * Description of the data held by a parser
+     * @param {HealthDataParser} parser - Parser
+     * @param {string} name - Name of the dataset
+     * @returns {Object} Dataset fields
+     */
+    describe(parser, name) {
+        return {
+            name: name,
+            exportDate: parser.exportDate,
+            recordCount: parser.rawData.length,
+            workoutCount: parser.workouts.length,
+            ecgCount: parser.electrocardiograms.length,
+            dataTypes: parser.getDataTypes()
+        };
+    }
+
+    /**
+     * Write records, workouts and ECGs of a dataset in batches
+     * @param {number} id - Dataset id
+     * @param {Object} data - { rawData, workouts, electrocardiograms }
+     * @param {function} progressCallback - Called with (fraction, message)
+     */
+    async writeItems(id, data, progressCallback = null) {
+        const db = await this.open();
+        const records = data.rawData;
+
+        for (let i = 0; i < records.length; i += STORAGE_BATCH_SIZE) {
+            const transaction = db.transaction('records', 'readwrite');
+            const store = transaction.objectStore('records');
+            records.slice(i, i + STORAGE_BATCH_SIZE).forEach(record => {
+                store.add(Object.assign({ datasetId: id }, record));
+            });
+            await this.complete(transaction);
+
+            if (progressCallback) {
+                const written = Math.min(i + STORAGE_BATCH_SIZE, records.length);
+                progressCallback(written / records.length,
+                    `Đang lưu ${written.toLocaleString()} / ${records.length.toLocaleString()} bản ghi...`);
+            }
+        }
+
+        const transaction = db.transaction(['workouts', 'electrocardiograms'], 'readwrite');
+        data.workouts.forEach(workout => {
+            transaction.objectStore('workouts').add(Object.assign({ datasetId: id }, workout));
+        });
+        data.electrocardiograms.forEach(ecg => {
+            transaction.objectStore('electrocardiograms').add(Object.assign({ datasetId: id }, ecg));
+        });
+        await this.complete(transaction);
+    }
+
+    /**
+     * Load a stored export into a parser
+     * @param {number} id - Dataset id
+     * @param {HealthDataParser} parser - Parser to fill
+     * @param {function} progressCallback - Called with (fraction, message)
+     * @returns {Promise<Object>} Dataset description
+     */
+    async loadDataset(id, parser, progressCallback = null) {
+        const db = await this.open();
+        const dataset = await this.promisify(db.transaction('datasets').objectStore('datasets').get(id));
+        if (!dataset) {
+            throw new Error('Không tìm thấy dữ liệu đã lưu');
+        }
+
+        const strip = (item) => {
+            delete item.datasetId;
+            return item;
+        };
+
+        // Read type by type so progress can be reported
+        const records = [];
+        for (let i = 0; i < dataset.dataTypes.length; i++) {
+            const type = dataset.dataTypes[i];
+            const range = IDBKeyRange.bound([id, type, new Date(-8.64e15)], [id, type, new Date(8.64e15)]);
+            const index = db.transaction('records').objectStore('records').index('type_date');
+            const typeRecords = await this.promisify(index.getAll(range));
+            // Exports stored before unit normalization may still mix units
+            typeRecords.forEach(record => records.push(parser.normalizeRecord(strip(record))));
+
+            if (progressCallback) {
+                progressCallback((i + 1) / dataset.dataTypes.length, `Đang tải ${records.length.toLocaleString()} bản ghi đã lưu...`);
+            }
+        }
+
+        const transaction = db.transaction(['workouts', 'electrocardiograms']);
+        const [workouts, ecgs] = await Promise.all([
+            this.promisify(transaction.objectStore('workouts').index('dataset').getAll(id)),
+            this.promisify(transaction.objectStore('electrocardiograms').index('dataset').getAll(id))
+        ]);
+
+        parser.rawData = records.sort((a, b) => b.startDate - a.startDate);
+        parser.workouts = workouts.map(strip).sort((a, b) => b.startDate - a.startDate);
+        parser.electrocardiograms = ecgs.map(strip).sort((a, b) => b.date - a.date);
+        parser.dataTypes = new Set(dataset.dataTypes);
+        parser.exportDate = dataset.exportDate;
+
+        await this.setSetting('currentDataset', id);
+        return dataset;
+    }
+
+    /**
+     * List stored exports
+     * @returns {Promise<Array>} Dataset descriptions, newest first
+     */
+    async listDatasets() {
+        const db = await this.open();
+        const datasets = await this.promisify(db.transaction('datasets').objectStore('datasets').getAll());
+        return datasets.sort((a, b) => b.importedAt - a.importedAt);
+    }
+
+    /**
+     * Delete a stored export with all its records
+     * @param {number} id - Dataset id
+     */
+    async deleteDataset(id) {
+        const db = await this.open();
+        const stores = ['datasets', 'records', 'workouts', 'electrocardiograms'];
+        const transaction = db.transaction(stores.concat('settings'), 'readwrite');
+
+        transaction.objectStore('datasets').delete(id);
+        stores.slice(1).forEach(name => {
+            const request = transaction.objectStore(name).index('dataset').openKeyCursor(IDBKeyRange.only(id));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                transaction.objectStore(name).delete(cursor.primaryKey);
+                cursor.continue();
+            };
+        });
+
+        const settings = transaction.objectStore('settings');
+        const current = settings.get('currentDataset');
+        current.onsuccess = () => {
+            if (current.result && current.result.value === id) {
+                settings.delete('currentDataset');
+            }
+        };
+
+        await this.complete(transaction);
+    }
+
+    /**
+     * Delete every stored export and setting
+     */
+    async clear() {
+        const db = await this.open();
+        const stores = ['datasets', 'records', 'workouts', 'electrocardiograms', 'settings'];
+        const transaction = db.transaction(stores, 'readwrite');
+        stores.forEach(name => transaction.objectStore(name).clear());
+        await this.complete(transaction);
+    }
+
+    /**
+     * Read a setting
+     * @param {string} key - Setting name
+     * @returns {Promise<*>} Value, or undefined when not set
+     */
+    async getSetting(key) {
+        const db = await this.open();
+        const entry = await this.promisify(db.transaction('settings').objectStore('settings').get(key));
+        return entry ? entry.value : undefined;
+    }
+
+    /**
+     * Write a setting
+     * @param {string} key - Setting name
+     * @param {*} value - Structured-cloneable value
+     */
+    async setSetting(key, value) {
+        const db = await this.open();
+        const transaction = db.transaction('settings', 'readwrite');
+        transaction.objectStore('settings').put({ key: key, value: value });
+        await this.complete(transaction);
+    }
+}
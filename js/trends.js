@@ -0,0 +1,152 @@
+/**
+ * Trend lines for Apple Health charts
+ * Smooths the buckets of HealthDataParser.aggregateByPeriod and fits a straight line through them
+ */
+
+// Overlays that can be drawn over a chart
+const TRENDS = {
+    ma7: { label: 'Trung bình 7 ngày', color: '#FF9500' },
+    ma30: { label: 'Trung bình 30 ngày', color: '#AF52DE' },
+    ema: { label: 'Trung bình lũy thừa (EMA)', color: '#34C759' },
+    linear: { label: 'Đường xu hướng', color: '#FF2D55' }
+};
+
+// Buckets the exponential moving average reacts to (smoothing factor 2 / (span + 1))
+const TREND_EMA_SPAN = 7;
+
+// Days per week and per average month, for slopes
+const TREND_DAYS_PER_PERIOD = { week: 7, month: 30.44 };
+
+class TrendAnalyzer {
+    constructor() {
+        this.correlation = new CorrelationAnalyzer();
+    }
+
+    /**
+     * Values of a trend overlay
+     * @param {string} key - Key of TRENDS
+     * @param {Array} buckets - Buckets from aggregateByPeriod (or fillPeriods), oldest first
+     * @param {string} field - Aggregate drawn, a key of AGGREGATIONS
+     * @returns {Object} { values, slope } with one value (or null) per bucket; slope is the
+     *     change per day of the linear trend, null for the other overlays
+     */
+    compute(key, buckets, field) {
+        switch (key) {
+            case 'ma7':
+                return { values: this.movingAverage(buckets, field, 7), slope: null };
+            case 'ma30':
+                return { values: this.movingAverage(buckets, field, 30), slope: null };
+            case 'ema':
+                return { values: this.exponentialMovingAverage(buckets, field), slope: null };
+            case 'linear':
+                return this.linearTrend(buckets, field);
+            default:
+                throw new Error(`Đường xu hướng không được hỗ trợ: ${key}`);
+        }
+    }
+
+    /**
+     * Trailing moving average over a number of days
+     * Buckets longer than the window (months, years) keep their own value
+     * @param {Array} buckets - Buckets, oldest first
+     * @param {string} field - Aggregate to average
+     * @param {number} days - Window length in days
+     * @returns {Array<number|null>} Average of the buckets in the window ending at each bucket
+     */
+    movingAverage(buckets, field, days) {
+        const points = this.getPoints(buckets, field);
+        const result = buckets.map(() => null);
+        let first = 0;
+        let sum = 0;
+
+        points.forEach((point, i) => {
+            sum += point.value;
+            while (points[first].day <= point.day - days) {
+                sum -= points[first].value;
+                first++;
+            }
+            result[point.index] = sum / (i - first + 1);
+        });
+
+        return result;
+    }
+
+    /**
+     * Exponential moving average; empty buckets are skipped
+     * @param {Array} buckets - Buckets, oldest first
+     * @param {string} field - Aggregate to smooth
+     * @param {number} span - Buckets of smoothing
+     * @returns {Array<number|null>} Smoothed value at each bucket
+     */
+    exponentialMovingAverage(buckets, field, span = TREND_EMA_SPAN) {
+        const alpha = 2 / (span + 1);
+        const result = buckets.map(() => null);
+        let average = null;
+
+        this.getPoints(buckets, field).forEach(point => {
+            average = average === null ? point.value : alpha * point.value + (1 - alpha) * average;
+            result[point.index] = average;
+        });
+
+        return result;
+    }
+
+    /**
+     * Least-squares line through the buckets, against time
+     * @param {Array} buckets - Buckets, oldest first
+     * @param {string} field - Aggregate to fit
+     * @returns {Object} { values, slope } with the line at each bucket and its change per day
+     *     (values all null and slope null with fewer than 2 buckets of data)
+     */
+    linearTrend(buckets, field) {
+        const points = this.getPoints(buckets, field);
+        const line = this.correlation.regression(points.map(point => point.day), points.map(point => point.value));
+        if (!line) {
+            return { values: buckets.map(() => null), slope: null };
+        }
+
+        // The line spans the buckets with data, not the empty ones around them
+        const from = points[0].index;
+        const to = points[points.length - 1].index;
+        return {
+            values: buckets.map((bucket, index) => index >= from && index <= to ?
+                line.slope * this.getDay(bucket.date) + line.intercept : null),
+            slope: line.slope
+        };
+    }
+
+    /**
+     * Buckets that have a value
+     * @param {Array} buckets - Buckets, oldest first
+     * @param {string} field - Aggregate
+     * @returns {Array} [{ index, day, value }]
+     */
+    getPoints(buckets, field) {
+        const points = [];
+        buckets.forEach((bucket, index) => {
+            if (bucket.count === 0 || bucket[field] === null || bucket[field] === undefined) return;
+            points.push({ index: index, day: this.getDay(bucket.date), value: bucket[field] });
+        });
+        return points;
+    }
+
+    /**
+     * Day number of a period key
+     * @param {string} key - YYYY-MM-DD, YYYY-MM or YYYY
+     * @returns {number} Days since 1970-01-01 of the first day of the period
+     */
+    getDay(key) {
+        const [year, month = 1, day = 1] = key.split('-').map(part => parseInt(part, 10));
+        return Date.UTC(year, month - 1, day) / 86400000;
+    }
+
+    /**
+     * Slope of a trend over a week or a month
+     * @param {number} slope - Change per day
+     * @param {string} per - 'week' or 'month'
+     * @returns {number} Change per period
+     */
+    getSlope(slope, per) {
+        return slope * TREND_DAYS_PER_PERIOD[per];
+    }
+}
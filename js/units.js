@@ -0,0 +1,196 @@
+/**
+ * Unit conversion for Apple Health data
+ * Records are normalized to one canonical (metric) unit per data type when parsed,
+ * then shown in metric or imperial units depending on the user's preference.
+ * Loaded both on the page and inside the parser Web Worker.
+ */
+
+// Size of each unit in the base unit of its dimension
+const UNIT_FACTORS = {
+    mass: { kg: 1, g: 0.001, mg: 1e-6, mcg: 1e-9, lb: 0.45359237, oz: 0.028349523125, st: 6.35029318 },
+    length: { m: 1, km: 1000, cm: 0.01, mm: 0.001, mi: 1609.344, yd: 0.9144, ft: 0.3048, in: 0.0254 },
+    volume: { mL: 1, L: 1000, dL: 100, fl_oz_us: 29.5735295625, fl_oz_imp: 28.4130625, cup_us: 236.5882365, pt_us: 473.176473 },
+    energy: { kcal: 1, Cal: 1, cal: 0.001, kJ: 1 / 4.184, J: 1 / 4184 },
+    speed: { 'm/s': 1, 'km/hr': 1 / 3.6, 'mi/hr': 0.44704, 'ft/s': 0.3048 },
+    temperature: { degC: 1, degF: 1, K: 1 }
+};
+
+// Metric and imperial unit of common data types; the first is also the canonical unit
+const TYPE_UNITS = {
+    'HKQuantityTypeIdentifierBodyMass': ['kg', 'lb'],
+    'HKQuantityTypeIdentifierLeanBodyMass': ['kg', 'lb'],
+    'HKQuantityTypeIdentifierHeight': ['cm', 'in'],
+    'HKQuantityTypeIdentifierWaistCircumference': ['cm', 'in'],
+    'HKQuantityTypeIdentifierWalkingStepLength': ['cm', 'in'],
+    'HKQuantityTypeIdentifierDistanceWalkingRunning': ['km', 'mi'],
+    'HKQuantityTypeIdentifierDistanceCycling': ['km', 'mi'],
+    'HKQuantityTypeIdentifierDistanceWheelchair': ['km', 'mi'],
+    'HKQuantityTypeIdentifierDistanceDownhillSnowSports': ['km', 'mi'],
+    'HKQuantityTypeIdentifierDistanceSwimming': ['m', 'yd'],
+    'HKQuantityTypeIdentifierSixMinuteWalkTestDistance': ['m', 'ft'],
+    'HKQuantityTypeIdentifierActiveEnergyBurned': ['kcal', 'kcal'],
+    'HKQuantityTypeIdentifierBasalEnergyBurned': ['kcal', 'kcal'],
+    'HKQuantityTypeIdentifierDietaryEnergyConsumed': ['kcal', 'kcal'],
+    'HKQuantityTypeIdentifierDietaryWater': ['mL', 'fl_oz_us'],
+    'HKQuantityTypeIdentifierBodyTemperature': ['degC', 'degF'],
+    'HKQuantityTypeIdentifierBasalBodyTemperature': ['degC', 'degF'],
+    'HKQuantityTypeIdentifierAppleSleepingWristTemperature': ['degC', 'degF'],
+    'HKQuantityTypeIdentifierWaterTemperature': ['degC', 'degF'],
+    'HKQuantityTypeIdentifierWalkingSpeed': ['km/hr', 'mi/hr'],
+    'HKQuantityTypeIdentifierRunningSpeed': ['km/hr', 'mi/hr'],
+    'HKQuantityTypeIdentifierStairAscentSpeed': ['m/s', 'ft/s'],
+    'HKQuantityTypeIdentifierStairDescentSpeed': ['m/s', 'ft/s']
+};
+
+// Other types: imperial units are stored as their metric counterpart...
+const METRIC_UNITS = {
+    lb: 'kg', st: 'kg', oz: 'g', mi: 'km', yd: 'm', ft: 'm', in: 'cm',
+    fl_oz_us: 'mL', fl_oz_imp: 'mL', cup_us: 'mL', pt_us: 'mL',
+    Cal: 'kcal', kJ: 'kcal', degF: 'degC', K: 'degC', 'mi/hr': 'km/hr', 'ft/s': 'm/s'
+};
+
+// ...and metric units are shown as their imperial counterpart (nutrient grams stay grams)
+const IMPERIAL_UNITS = {
+    kg: 'lb', km: 'mi', m: 'ft', cm: 'in', mL: 'fl_oz_us', L: 'fl_oz_us',
+    degC: 'degF', 'km/hr': 'mi/hr', 'm/s': 'ft/s'
+};
+
+// Display names of units
+const UNIT_LABELS = {
+    degC: '°C', degF: '°F', K: 'K', fl_oz_us: 'fl oz', fl_oz_imp: 'fl oz (UK)', cup_us: 'cup', pt_us: 'pt',
+    'km/hr': 'km/h', 'mi/hr': 'mph', mcg: 'µg'
+};
+
+class UnitConverter {
+    /**
+     * Dimension of a unit
+     * @param {string} unit - Apple Health unit string
+     * @returns {string|null} Key of UNIT_FACTORS, or null when the unit is not convertible
+     */
+    getDimension(unit) {
+        return Object.keys(UNIT_FACTORS).find(dimension => Object.prototype.hasOwnProperty.call(UNIT_FACTORS[dimension], unit)) || null;
+    }
+
+    /**
+     * Whether a value can be converted between two units
+     * @param {string} from - Unit of the value
+     * @param {string} to - Target unit
+     * @returns {boolean}
+     */
+    canConvert(from, to) {
+        const dimension = this.getDimension(from);
+        return dimension !== null && dimension === this.getDimension(to);
+    }
+
+    /**
+     * Convert a value between two units of the same dimension
+     * @param {number|null} value - Value
+     * @param {string} from - Unit of the value
+     * @param {string} to - Target unit
+     * @returns {number|null} Converted value (unchanged when the units are not convertible)
+     */
+    convert(value, from, to) {
+        if (value === null || from === to || !this.canConvert(from, to)) return value;
+
+        const dimension = this.getDimension(from);
+        if (dimension === 'temperature') {
+            return this.fromCelsius(this.toCelsius(value, from), to);
+        }
+
+        return value * UNIT_FACTORS[dimension][from] / UNIT_FACTORS[dimension][to];
+    }
+
+    /**
+     * @param {number} value - Temperature
+     * @param {string} unit - degC, degF or K
+     * @returns {number} Degrees Celsius
+     */
+    toCelsius(value, unit) {
+        if (unit === 'degF') return (value - 32) * 5 / 9;
+        if (unit === 'K') return value - 273.15;
+        return value;
+    }
+
+    /**
+     * @param {number} value - Degrees Celsius
+     * @param {string} unit - degC, degF or K
+     * @returns {number} Temperature in the unit
+     */
+    fromCelsius(value, unit) {
+        if (unit === 'degF') return value * 9 / 5 + 32;
+        if (unit === 'K') return value + 273.15;
+        return value;
+    }
+
+    /**
+     * Unit records of a data type are stored in
+     * @param {string} type - Data type identifier
+     * @param {string} unit - Unit of a sample
+     * @returns {string} Canonical unit
+     */
+    getCanonicalUnit(type, unit) {
+        const units = TYPE_UNITS[type];
+        if (units && this.canConvert(unit, units[0])) return units[0];
+        return METRIC_UNITS[unit] || unit;
+    }
+
+    /**
+     * Unit values of a data type are shown in
+     * @param {string} type - Data type identifier
+     * @param {string} unit - Unit of the values, canonical or as recorded (e.g. degF of a workout)
+     * @param {string} system - 'metric' or 'imperial'
+     * @returns {string} Display unit
+     */
+    getDisplayUnit(type, unit, system) {
+        if (system !== 'imperial') return this.getCanonicalUnit(type, unit);
+
+        unit = this.getCanonicalUnit(type, unit);
+        const units = TYPE_UNITS[type];
+        if (units && this.canConvert(unit, units[1])) return units[1];
+        return IMPERIAL_UNITS[unit] || unit;
+    }
+
+    /**
+     * Convert a parsed value to the canonical unit of its data type
+     * @param {string} type - Data type identifier
+     * @param {number|null} value - Value
+     * @param {string} unit - Unit in the export
+     * @returns {Object} { value, unit }
+     */
+    normalize(type, value, unit) {
+        const canonical = this.getCanonicalUnit(type, unit);
+        return { value: this.convert(value, unit, canonical), unit: canonical };
+    }
+
+    /**
+     * Records in the display units of a unit system
+     * @param {Array} records - Records in canonical units
+     * @param {string} system - 'metric' or 'imperial'
+     * @returns {Array} The same array when nothing changes, converted copies otherwise
+     */
+    toSystem(records, system) {
+        // Records are stored in their canonical (metric) unit already
+        if (system !== 'imperial' || records.length === 0) return records;
+
+        const first = records[0];
+        if (this.getDisplayUnit(first.type, first.unit, system) === first.unit &&
+            records.every(record => record.unit === first.unit)) {
+            return records;
+        }
+
+        return records.map(record => {
+            const unit = this.getDisplayUnit(record.type, record.unit, system);
+            if (unit === record.unit) return record;
+            return Object.assign({}, record, { value: this.convert(record.value, record.unit, unit), unit: unit });
+        });
+    }
+
+    /**
+     * Display name of a unit
+     * @param {string} unit - Apple Health unit string
+     * @returns {string} Label
+     */
+    formatUnit(unit) {
+        return UNIT_LABELS[unit] || unit;
+    }
+}
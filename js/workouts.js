@@ -0,0 +1,160 @@
+/**
+ * Workout analysis for Apple Health data
+ * Derives pauses, laps, segments and summaries from parsed workouts
+ */
+
+// Pseudo data type used by the type selector for the workout list
+const WORKOUTS_VIEW = '__workouts';
+
+class WorkoutAnalyzer {
+    /**
+     * Pause intervals of a workout, from Pause/Resume and MotionPaused/MotionResumed events
+     * @param {Object} workout - Parsed workout
+     * @returns {Array} [{ start, end, minutes, type }]
+     */
+    getPauses(workout) {
+        const pauses = [];
+        let pausedAt = null;
+        let pauseType = null;
+
+        workout.events.forEach(event => {
+            switch (event.type) {
+                case 'HKWorkoutEventTypePause':
+                case 'HKWorkoutEventTypeMotionPaused':
+                    if (!pausedAt) {
+                        pausedAt = event.date;
+                        pauseType = event.type === 'HKWorkoutEventTypePause' ? 'manual' : 'auto';
+                    }
+                    break;
+                case 'HKWorkoutEventTypeResume':
+                case 'HKWorkoutEventTypeMotionResumed':
+                    if (pausedAt) {
+                        pauses.push(this.createPause(pausedAt, event.date, pauseType));
+                        pausedAt = null;
+                    }
+                    break;
+            }
+        });
+
+        // A pause that was never resumed lasts until the workout ended
+        if (pausedAt) {
+            pauses.push(this.createPause(pausedAt, workout.endDate, pauseType));
+        }
+
+        return pauses;
+    }
+
+    /**
+     * @param {Date} start - Pause start
+     * @param {Date} end - Pause end
+     * @param {string} type - 'manual' or 'auto'
+     * @returns {Object} Pause interval
+     */
+    createPause(start, end, type) {
+        return {
+            start: start,
+            end: end,
+            minutes: Math.max(0, end - start) / 60000,
+            type: type
+        };
+    }
+
+    /**
+     * Lap or segment events of a workout
+     * @param {Object} workout - Parsed workout
+     * @param {string} kind - 'Lap' or 'Segment'
+     * @returns {Array} [{ index, start, offset, minutes, metadata }]
+     */
+    getSplits(workout, kind = 'Lap') {
+        return workout.events
+            .filter(event => event.type === `HKWorkoutEventType${kind}`)
+            .map((event, index) => ({
+                index: index + 1,
+                start: event.date,
+                offset: (event.date - workout.startDate) / 60000,
+                minutes: event.duration,
+                metadata: event.metadata
+            }));
+    }
+
+    /**
+     * Time spent moving (duration minus pauses)
+     * @param {Object} workout - Parsed workout
+     * @returns {number} Minutes
+     */
+    getMovingTime(workout) {
+        const paused = this.getPauses(workout).reduce((sum, pause) => sum + pause.minutes, 0);
+        return Math.max(0, workout.duration - paused);
+    }
+
+    /**
+     * Find a statistic of a workout by type, falling back to its activities
+     * @param {Object} workout - Parsed workout
+     * @param {string} type - HK quantity type identifier
+     * @returns {Object|null} Statistic
+     */
+    getStatistic(workout, type) {
+        const sources = [workout].concat(workout.activities || []);
+        for (const source of sources) {
+            const stat = source.statistics.find(s => s.type === type);
+            if (stat) return stat;
+        }
+        return null;
+    }
+
+    /**
+     * Whether the workout was recorded indoors
+     * @param {Object} workout - Parsed workout
+     * @returns {boolean|null} null when unknown
+     */
+    isIndoor(workout) {
+        const value = workout.metadata.HKIndoorWorkout;
+        if (value === undefined) return null;
+        return value === '1' || value === 'true';
+    }
+
+    /**
+     * Parse a metadata quantity such as "1234 cm" or "75 degF"
+     * @param {string} value - Metadata value
+     * @returns {Object|null} { value, unit }
+     */
+    parseQuantity(value) {
+        if (value === undefined || value === null) return null;
+
+        const match = /^\s*(-?[\d.]+)\s*(.*)$/.exec(String(value));
+        if (!match) return null;
+
+        return { value: parseFloat(match[1]), unit: match[2].trim() };
+    }
+
+    /**
+     * Totals over a list of workouts
+     * Distances and energies are summed per unit because exports can mix units
+     * @param {Array} workouts - Workouts
+     * @returns {Object} { count, minutes, distance: {unit: sum}, energy: {unit: sum} }
+     */
+    summarize(workouts) {
+        const summary = { count: workouts.length, minutes: 0, distance: {}, energy: {} };
+
+        workouts.forEach(workout => {
+            summary.minutes += workout.duration || 0;
+            if (workout.totalDistance) {
+                summary.distance[workout.totalDistanceUnit] = (summary.distance[workout.totalDistanceUnit] || 0) + workout.totalDistance;
+            }
+            if (workout.totalEnergyBurned) {
+                summary.energy[workout.totalEnergyBurnedUnit] = (summary.energy[workout.totalEnergyBurnedUnit] || 0) + workout.totalEnergyBurned;
+            }
+        });
+
+        return summary;
+    }
+
+    /**
+     * Activity types present in a list of workouts
+     * @param {Array} workouts - Workouts
+     * @returns {Array<string>} Sorted activity types
+     */
+    getActivityTypes(workouts) {
+        return Array.from(new Set(workouts.map(workout => workout.activityType))).sort();
+    }
+}
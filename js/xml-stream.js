@@ -0,0 +1,348 @@
+/**
+ * Streaming XML reader for Apple Health exports
+ * Tokenizes export.xml incrementally so multi-GB files never have to be held in memory.
+ * Loaded both on the page and inside the parser Web Worker.
+ */
+
+// Size of each slice read from the file (bytes)
+const XML_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Number of parsed records sent back per batch
+const XML_BATCH_SIZE = 5000;
+
+class HealthXMLStream {
+    /**
+     * @param {function} onElement - Called with every completed element of interest
+     * @param {Array<string>} elementNames - Top-level element names to capture (with their children)
+     */
+    constructor(onElement, elementNames = ['Record', 'Workout']) {
+        this.onElement = onElement;
+        this.elementNames = new Set(elementNames);
+        this.buffer = '';
+        this.rootName = null;
+
+        // Stack of elements being built while inside a captured element
+        this.stack = [];
+    }
+
+    /**
+     * Feed decoded text into the tokenizer
+     * @param {string} text - Next piece of the document
+     */
+    write(text) {
+        this.buffer += text;
+
+        const buf = this.buffer;
+        let pos = 0;
+
+        while (true) {
+            const lt = buf.indexOf('<', pos);
+            if (lt === -1) {
+                pos = buf.length;
+                break;
+            }
+
+            let end;
+            if (buf.startsWith('<!--', lt)) {
+                end = buf.indexOf('-->', lt + 4);
+                if (end !== -1) end += 2;
+            } else if (buf.startsWith('<?', lt)) {
+                end = buf.indexOf('?>', lt + 2);
+                if (end !== -1) end += 1;
+            } else if (buf.charCodeAt(lt + 1) === 33) {
+                // <!DOCTYPE ...[ ... ]>, <![CDATA[ ... ]]>
+                end = this.findDeclarationEnd(buf, lt + 2);
+            } else {
+                end = this.findTagEnd(buf, lt + 1);
+                if (end !== -1) {
+                    this.handleTag(buf.slice(lt + 1, end));
+                }
+            }
+
+            if (end === -1) {
+                // Incomplete markup, wait for more data
+                pos = lt;
+                break;
+            }
+
+            pos = end + 1;
+        }
+
+        this.buffer = buf.slice(pos);
+    }
+
+    /**
+     * Signal the end of the document
+     */
+    end() {
+        if (this.stack.length > 0) {
+            console.warn(`XML kết thúc giữa phần tử <${this.stack[0].name}>, bỏ qua phần tử này`);
+            this.stack = [];
+        }
+        this.buffer = '';
+    }
+
+    /**
+     * Find the closing '>' of a tag, skipping quoted attribute values
+     * @param {string} buf - Buffer
+     * @param {number} from - Index after '<'
+     * @returns {number} Index of '>' or -1 if not buffered yet
+     */
+    findTagEnd(buf, from) {
+        let pos = from;
+        while (true) {
+            const gt = buf.indexOf('>', pos);
+            if (gt === -1) return -1;
+
+            // First quote before the '>', whose value may itself contain '>'
+            const double = buf.indexOf('"', pos);
+            let quote = double !== -1 && double < gt ? double : -1;
+            const single = buf.slice(pos, quote === -1 ? gt : quote).indexOf("'");
+            if (single !== -1) quote = pos + single;
+
+            if (quote === -1) return gt;
+
+            const close = buf.indexOf(buf[quote], quote + 1);
+            if (close === -1) return -1;
+            pos = close + 1;
+        }
+    }
+
+    /**
+     * Find the end of a <! declaration, including a DOCTYPE internal subset
+     * @param {string} buf - Buffer
+     * @param {number} from - Index after '<!'
+     * @returns {number} Index of the final '>' or -1 if not buffered yet
+     */
+    findDeclarationEnd(buf, from) {
+        let depth = 0;
+        let quote = 0;
+        for (let i = from; i < buf.length; i++) {
+            const c = buf.charCodeAt(i);
+            if (quote) {
+                if (c === quote) quote = 0;
+            } else if (c === 34 || c === 39) {
+                quote = c;
+            } else if (c === 91) {
+                depth++;
+            } else if (c === 93) {
+                depth--;
+            } else if (c === 62 && depth <= 0) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Handle the inside of a start or end tag
+     * @param {string} tag - Tag content without the angle brackets
+     */
+    handleTag(tag) {
+        if (tag.charCodeAt(0) === 47) {
+            this.closeElement(tag.slice(1).trim());
+            return;
+        }
+
+        const selfClosing = tag.charCodeAt(tag.length - 1) === 47;
+        const match = /^[^\s/]+/.exec(tag);
+        if (!match) return;
+        const name = match[0];
+
+        if (this.rootName === null) {
+            this.rootName = name;
+        }
+
+        if (this.stack.length === 0 && !this.elementNames.has(name)) {
+            // Not inside anything we care about, skip attribute parsing
+            return;
+        }
+
+        const node = {
+            name: name,
+            attributes: this.parseAttributes(tag, name.length),
+            children: []
+        };
+
+        if (this.stack.length > 0) {
+            this.stack[this.stack.length - 1].children.push(node);
+        }
+
+        if (selfClosing) {
+            if (this.stack.length === 0) this.onElement(node);
+        } else {
+            this.stack.push(node);
+        }
+    }
+
+    /**
+     * Handle an end tag
+     * @param {string} name - Element name
+     */
+    closeElement(name) {
+        if (this.stack.length === 0) return;
+
+        const node = this.stack.pop();
+        if (node.name !== name) {
+            console.warn(`Thẻ đóng </${name}> không khớp với <${node.name}>`);
+        }
+
+        if (this.stack.length === 0) {
+            this.onElement(node);
+        }
+    }
+
+    /**
+     * Parse tag attributes
+     * @param {string} tag - Tag content
+     * @param {number} offset - Index after the element name
+     * @returns {Object} Attribute map
+     */
+    parseAttributes(tag, offset) {
+        const attributes = {};
+        const pattern = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        pattern.lastIndex = offset;
+
+        let match;
+        while ((match = pattern.exec(tag)) !== null) {
+            const value = match[2] !== undefined ? match[2] : match[3];
+            attributes[match[1]] = value.includes('&') ? this.decodeEntities(value) : value;
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Decode XML entities in an attribute value
+     * @param {string} value - Raw value
+     * @returns {string} Decoded value
+     */
+    decodeEntities(value) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+        return value.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, code) => {
+            if (code[0] === '#') {
+                const point = code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return String.fromCodePoint(point);
+            }
+            return entities[code] !== undefined ? entities[code] : entity;
+        });
+    }
+}
+
+/**
+ * Turns raw export.xml bytes into parsed records in batches
+ */
+class HealthExportReader {
+    /**
+     * @param {HealthDataParser} builder - Parser used to convert elements into records
+     * @param {Object} handlers - { onBatch(batch), onProgress(bytesRead) }
+     */
+    constructor(builder, handlers = {}) {
+        this.builder = builder;
+        this.onBatch = handlers.onBatch || (() => {});
+        this.onProgress = handlers.onProgress || (() => {});
+        this.decoder = new TextDecoder('utf-8');
+        this.stream = new HealthXMLStream(node => this.handleElement(node), ['Record', 'Correlation', 'Workout', 'ExportDate']);
+        this.records = [];
+        this.workouts = [];
+        this.exportDate = null;
+        this.bytesRead = 0;
+        this.recordCount = 0;
+        this.cancelled = false;
+    }
+
+    /**
+     * Read a whole Blob/File slice by slice
+     * @param {Blob} blob - export.xml content
+     * @param {boolean} yieldToUI - Pause between slices (when running on the page)
+     * @returns {Promise<Object>} Summary from end()
+     */
+    async readBlob(blob, yieldToUI = false) {
+        for (let offset = 0; offset < blob.size; offset += XML_CHUNK_SIZE) {
+            if (this.cancelled) {
+                throw new DOMException('Đã hủy phân tích', 'AbortError');
+            }
+
+            const slice = blob.slice(offset, Math.min(offset + XML_CHUNK_SIZE, blob.size));
+            this.write(new Uint8Array(await slice.arrayBuffer()));
+
+            if (yieldToUI) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        return this.end();
+    }
+
+    /**
+     * Feed a chunk of bytes
+     * @param {Uint8Array} bytes - Raw UTF-8 bytes
+     */
+    write(bytes) {
+        this.stream.write(this.decoder.decode(bytes, { stream: true }));
+        this.bytesRead += bytes.byteLength;
+        this.flush();
+        this.onProgress(this.bytesRead);
+    }
+
+    /**
+     * Finish reading
+     * @returns {Object} Summary of the document
+     */
+    end() {
+        this.stream.write(this.decoder.decode());
+        this.stream.end();
+        this.flush();
+
+        return {
+            rootName: this.stream.rootName,
+            exportDate: this.exportDate,
+            bytesRead: this.bytesRead,
+            recordCount: this.recordCount
+        };
+    }
+
+    /**
+     * Stop reading at the next slice
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    /**
+     * Convert a captured element into a record (blood pressure correlations become one record
+     * per reading) or workout, or note the export date
+     * @param {Object} node - Element node { name, attributes, children }
+     */
+    handleElement(node) {
+        if (node.name === 'Record' || node.name === 'Correlation') {
+            const record = node.name === 'Record' ? this.builder.buildRecord(node) : this.builder.buildCorrelation(node);
+            if (record) {
+                this.records.push(record);
+                this.recordCount++;
+            }
+        } else if (node.name === 'Workout') {
+            const workout = this.builder.buildWorkout(node);
+            if (workout) this.workouts.push(workout);
+        } else if (node.name === 'ExportDate') {
+            this.exportDate = node.attributes.value || null;
+        }
+
+        if (this.records.length >= XML_BATCH_SIZE) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Send pending records and workouts to the batch handler
+     */
+    flush() {
+        if (this.records.length === 0 && this.workouts.length === 0) return;
+
+        const batch = { records: this.records, workouts: this.workouts };
+        this.records = [];
+        this.workouts = [];
+        this.onBatch(batch);
+    }
+}